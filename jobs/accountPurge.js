@@ -0,0 +1,25 @@
+const { purgeDueAccounts } = require("../utils/accountDeletion");
+
+const INTERVAL_MS =
+  parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Erases accounts whose deletion grace period has ended, once at startup and
+// then every INTERVAL_MS
+const startAccountPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeDueAccounts();
+      if (purged)
+        console.log(`[account] purge job processed ${purged} account(s)`);
+    } catch (error) {
+      console.error("[account] purge job failed", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startAccountPurgeJob };
@@ -0,0 +1,30 @@
+const { runReminders } = require("../utils/reminders");
+
+const INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 1000;
+
+// Sends due reminders every INTERVAL_MS. A run that takes longer than the
+// interval is not started again until it finishes.
+const startReminderJob = () => {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const counts = await runReminders();
+      if (Object.values(counts).some(Boolean)) {
+        console.log("[reminders] job delivered", counts);
+      }
+    } catch (error) {
+      console.error("[reminders] job failed", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startReminderJob };
@@ -0,0 +1,26 @@
+const { purgeExpiredTrash } = require("../utils/trash");
+
+const INTERVAL_MS =
+  parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Empties trash older than the retention period, once at startup and then
+// every INTERVAL_MS
+const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      const counts = await purgeExpiredTrash();
+      if (Object.values(counts).some(Boolean)) {
+        console.log("[trash] purge job removed", counts);
+      }
+    } catch (error) {
+      console.error("[trash] purge job failed", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startTrashPurgeJob };
@@ -0,0 +1,33 @@
+// Audit logging for routes. auditTrail gives every request
+// req.audit(action, details), which records an event for the signed-in
+// user (see utils/audit.js); requireAdmin guards the admin routes.
+const { recordAudit, clientInfo } = require("../utils/audit");
+const { forbidden } = require("../utils/errors");
+
+const auditTrail = (req, res, next) => {
+  // req.user is read when the event is recorded, after verifyToken ran
+  req.audit = (action, details) =>
+    recordAudit(
+      { actorId: req.user?.uid || null, client: clientInfo(req) },
+      action,
+      details
+    );
+  next();
+};
+
+const adminUids = () =>
+  (process.env.ADMIN_UIDS || "")
+    .split(",")
+    .map((uid) => uid.trim())
+    .filter(Boolean);
+
+// Admins carry the `admin` custom claim on their Firebase token or are
+// listed in ADMIN_UIDS. Runs after verifyToken.
+const requireAdmin = (req, res, next) => {
+  if (req.user?.admin === true || adminUids().includes(req.user?.uid)) {
+    return next();
+  }
+  next(forbidden("Admin access required"));
+};
+
+module.exports = { auditTrail, requireAdmin };
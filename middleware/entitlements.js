@@ -0,0 +1,61 @@
+// Subscription enforcement. Runs after verifyToken.
+const User = require("../models/User");
+const { getEntitlements, countEntriesThisMonth } = require("../utils/plans");
+const { requestTimeZone } = require("../utils/dates");
+const { ApiError } = require("../utils/errors");
+
+const upgradeRequired = (entitlements, details) =>
+  new ApiError(402, "UPGRADE_REQUIRED", "Upgrade required", {
+    plan: entitlements.plan,
+    status: entitlements.status,
+    ...details,
+  });
+
+// Attach the user's account and plan entitlements to the request
+const loadEntitlements = async function (req, res, next) {
+  try {
+    const user = await User.findOne({ firebaseUid: req.user.uid });
+    if (!user) {
+      return next(new ApiError(404, "USER_NOT_FOUND", "User not found"));
+    }
+
+    req.account = user;
+    req.entitlements = getEntitlements(user);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Block the request unless the user's plan includes `feature`
+const requireFeature = (feature) =>
+  function (req, res, next) {
+    if (req.entitlements?.features[feature]) return next();
+    next(upgradeRequired(req.entitlements, { feature }));
+  };
+
+// Block entry creation once the plan's monthly entry quota is used up
+const enforceEntryQuota = async function (req, res, next) {
+  try {
+    const limit = req.entitlements.entriesPerMonth;
+    if (limit === null) return next();
+
+    const used = await countEntriesThisMonth(
+      req.user.uid,
+      requestTimeZone(req)
+    );
+    if (used < limit) return next();
+
+    next(
+      upgradeRequired(req.entitlements, {
+        feature: "entriesPerMonth",
+        limit,
+        used,
+      })
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { loadEntitlements, requireFeature, enforceEntryQuota };
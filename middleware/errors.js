@@ -0,0 +1,27 @@
+// Final error handling for every route. Handlers pass errors to next();
+// this turns them into the { error, code, details? } response.
+const { ApiError, toApiError } = require("../utils/errors");
+
+// Field problems come as a list; a few errors (UPGRADE_REQUIRED) carry an
+// object instead
+const hasDetails = ({ details }) =>
+  Array.isArray(details) ? details.length > 0 : details != null;
+
+const errorHandler = (err, req, res, next) => {
+  const error = toApiError(err);
+  if (error.status >= 500) {
+    console.error(`[error] ${req.method} ${req.originalUrl}`, err);
+  }
+  if (res.headersSent) return next(err);
+
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    ...(hasDetails(error) ? { details: error.details } : {}),
+  });
+};
+
+const routeNotFound = (req, res, next) =>
+  next(new ApiError(404, "ROUTE_NOT_FOUND", "Route not found"));
+
+module.exports = { errorHandler, routeNotFound };
@@ -0,0 +1,99 @@
+// Request throttling. Each request is charged to one budget: signed-in
+// users are counted by Firebase uid (so mount this after verifyToken) and
+// anyone else by IP. Responses carry RateLimit-Limit, RateLimit-Remaining,
+// RateLimit-Reset and RateLimit-Policy headers; once a budget is used up
+// the request is refused with 429 RATE_LIMITED and Retry-After.
+//
+// Budgets are "<requests>/<seconds>" and can be changed with
+// RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_WRITE=30/60. RATE_LIMIT_ENABLED=false
+// turns limiting off.
+
+const { getStore } = require("../utils/rateLimitStore");
+const { ApiError } = require("../utils/errors");
+
+const DEFAULT_BUDGETS = {
+  // Unauthenticated routes such as signup, by IP
+  public: "10/60",
+  read: "120/60",
+  write: "60/60",
+  // Stats and analytics aggregations
+  stats: "30/60",
+  // Export, import, reports, search, sync and batches
+  heavy: "20/60",
+};
+
+const BUDGET_PATTERN = /^(\d+)\/(\d+)$/;
+
+const parseBudget = (name) => {
+  const value =
+    process.env[`RATE_LIMIT_${name.toUpperCase()}`] || DEFAULT_BUDGETS[name];
+  const match = BUDGET_PATTERN.exec(value.trim());
+  if (!match || !Number(match[1]) || !Number(match[2])) {
+    throw new Error(
+      `RATE_LIMIT_${name.toUpperCase()} must look like <requests>/<seconds>`
+    );
+  }
+  return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+};
+
+// Read once at startup so a bad value fails fast
+const BUDGETS = Object.fromEntries(
+  Object.keys(DEFAULT_BUDGETS).map((name) => [name, parseBudget(name)])
+);
+
+const STATS_PATH = /\/(stats|analytics|sentiment-stats|outcome-stats)\/?$/;
+
+// The budget of an ordinary entry route
+const budgetFor = (req) => {
+  if (STATS_PATH.test(req.path)) return "stats";
+  return ["GET", "HEAD", "OPTIONS"].includes(req.method) ? "read" : "write";
+};
+
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== "false";
+
+// `budget` is a budget name; without one it is picked per request from the
+// method and path
+const rateLimit = (budget) =>
+  async function (req, res, next) {
+    if (!isEnabled()) return next();
+
+    const name = budget || budgetFor(req);
+    const { limit, windowSeconds } = BUDGETS[name];
+    const client = req.user?.uid ? `uid:${req.user.uid}` : `ip:${req.ip}`;
+
+    let usage;
+    try {
+      usage = await getStore().increment(
+        `${name}:${client}`,
+        windowSeconds * 1000
+      );
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      console.error("[rateLimit] store failed, request let through", error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((usage.resetAt.getTime() - Date.now()) / 1000)
+    );
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(0, limit - usage.count)),
+      "RateLimit-Reset": String(resetSeconds),
+      "RateLimit-Policy": `${limit};w=${windowSeconds}`,
+    });
+    if (usage.count <= limit) return next();
+
+    console.log(`[rateLimit] ${name} budget exceeded by ${client}`);
+    res.set("Retry-After", String(resetSeconds));
+    next(
+      new ApiError(
+        429,
+        "RATE_LIMITED",
+        `Too many requests, try again in ${resetSeconds} seconds`
+      )
+    );
+  };
+
+module.exports = { BUDGETS, rateLimit };
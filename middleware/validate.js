@@ -0,0 +1,205 @@
+// Declarative request validation. Each route describes its params, query
+// and body as field specs:
+//
+//   validate({
+//     params: { id: { type: "objectId", notFound: "Journal entry not found" } },
+//     body: { content: { type: "string", required: true, maxLength: 50000 } },
+//   })
+//
+// Spec options: type, required, nullable, enum, min/max (numbers),
+// minLength/maxLength and pattern/patternMessage (strings), maxItems and
+// items (arrays), and currentUser for a param that must be the signed-in
+// user's uid. Types are
+// string, integer, number, boolean, day (YYYY-MM-DD), month (YYYY-MM),
+// entryDate (a day or ISO timestamp), timestamp, timeZone, objectId,
+// array and object. Query values arrive as strings, so integer, number and
+// boolean query fields are parsed before they are checked.
+//
+// A malformed objectId param is reported as 404 since no such entry can
+// exist, and so is a currentUser param naming someone else; everything else is collected into one 400 with field details.
+// Fields nobody declared are ignored.
+
+const mongoose = require("mongoose");
+const {
+  MONTH_PATTERN,
+  isValidDay,
+  isValidTimeZone,
+  normalizeDay,
+} = require("../utils/dates");
+const { validationError, notFound } = require("../utils/errors");
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const fromQueryString = (type, value) => {
+  if (typeof value !== "string") return value;
+  if (type === "integer" || type === "number") {
+    return value.trim() === "" ? NaN : Number(value);
+  }
+  if (type === "boolean") {
+    return value === "true" ? true : value === "false" ? false : value;
+  }
+  return value;
+};
+
+// Returns why `value` doesn't fit `spec` ("must be ..."), or null
+const checkValue = (spec, value) => {
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      if (spec.minLength && value.trim().length < spec.minLength) {
+        return spec.minLength === 1
+          ? "must not be empty"
+          : `must be at least ${spec.minLength} characters`;
+      }
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return `must be at most ${spec.maxLength} characters`;
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        return spec.patternMessage || "has an invalid format";
+      }
+      break;
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return "must be a number";
+      }
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        return "must be a whole number";
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return `must be at least ${spec.min}`;
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return `must be at most ${spec.max}`;
+      }
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return "must be true or false";
+      break;
+    case "day":
+      if (!isValidDay(value)) return "must be a date in YYYY-MM-DD format";
+      break;
+    case "month":
+      if (
+        typeof value !== "string" ||
+        !MONTH_PATTERN.test(value) ||
+        !isValidDay(`${value}-01`)
+      ) {
+        return "must be in YYYY-MM format";
+      }
+      break;
+    case "entryDate":
+      if (!normalizeDay(value)) {
+        return "must be a day (YYYY-MM-DD) or an ISO 8601 timestamp";
+      }
+      break;
+    case "timestamp":
+      if (typeof value !== "string" || isNaN(Date.parse(value))) {
+        return "must be an ISO 8601 timestamp";
+      }
+      break;
+    case "timeZone":
+      if (!isValidTimeZone(value)) return "must be an IANA time zone";
+      break;
+    case "objectId":
+      if (
+        typeof value !== "string" ||
+        !mongoose.Types.ObjectId.isValid(value) ||
+        String(new mongoose.Types.ObjectId(value)) !== value.toLowerCase()
+      ) {
+        return "must be a valid id";
+      }
+      break;
+    case "array":
+      if (!Array.isArray(value)) return "must be an array";
+      if (spec.maxItems && value.length > spec.maxItems) {
+        return `must have at most ${spec.maxItems} items`;
+      }
+      break;
+    case "object":
+      if (!isPlainObject(value)) return "must be an object";
+      break;
+    default:
+      throw new Error(`Unknown validation type ${spec.type}`);
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `must be one of: ${spec.enum.join(", ")}`;
+  }
+  return null;
+};
+
+// Field problems in one part of the request as [{ field, message }]
+const checkFields = (location, fields, source = {}) => {
+  const details = [];
+  Object.entries(fields).forEach(([name, spec]) => {
+    const field = `${location}.${name}`;
+    let value = source[name];
+    if (location === "query") value = fromQueryString(spec.type, value);
+
+    if (value === undefined || (value === null && spec.nullable)) {
+      if (spec.required) {
+        details.push({ field, message: `${name} is required` });
+      }
+      return;
+    }
+
+    const problem = checkValue(spec, value);
+    if (problem) {
+      details.push({ field, message: `${name} ${problem}` });
+      return;
+    }
+    if (spec.type === "array" && spec.items) {
+      value.forEach((item, index) => {
+        const itemProblem = checkValue(spec.items, item);
+        if (itemProblem) {
+          details.push({
+            field: `${field}.${index}`,
+            message: `${name}[${index}] ${itemProblem}`,
+          });
+        }
+      });
+    }
+  });
+  return details;
+};
+
+const validate =
+  ({ params, query, body }) =>
+  (req, res, next) => {
+    if (params) {
+      const malformedId = Object.entries(params).find(
+        ([name, spec]) =>
+          spec.type === "objectId" && checkValue(spec, req.params[name])
+      );
+      if (malformedId) return next(notFound(malformedId[1].notFound));
+
+      const otherUser = Object.entries(params).find(
+        ([name, spec]) => spec.currentUser && req.params[name] !== req.user?.uid
+      );
+      if (otherUser) return next(notFound(otherUser[1].notFound));
+    }
+
+    const details = [
+      ...(params ? checkFields("params", params, req.params) : []),
+      ...(query ? checkFields("query", query, req.query) : []),
+    ];
+    if (body) {
+      if (req.body !== undefined && !isPlainObject(req.body)) {
+        details.push({ field: "body", message: "body must be a JSON object" });
+      } else {
+        details.push(...checkFields("body", body, req.body));
+      }
+    }
+
+    if (!details.length) return next();
+    next(
+      validationError(
+        details.length === 1 ? details[0].message : "Validation failed",
+        details
+      )
+    );
+  };
+
+module.exports = { validate, checkFields };
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// One security- or data-relevant event in a user's account: who did what
+// to which record, from which client. Never holds entry text, only which
+// fields changed and the new value of non-text fields.
+const parsedRetentionDays = parseInt(process.env.AUDIT_RETENTION_DAYS);
+const AUDIT_RETENTION_DAYS = Number.isNaN(parsedRetentionDays)
+  ? 365
+  : parsedRetentionDays;
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Whose account the event belongs to
+    userId: {
+      type: String,
+      required: true,
+    },
+    // Who did it: the user, an admin, or null for the server itself
+    actorId: {
+      type: String,
+      default: null,
+    },
+    // e.g. "entry.create", "account.deletion_requested"
+    action: {
+      type: String,
+      required: true,
+    },
+    target: {
+      type: { type: String },
+      id: { type: String },
+    },
+    // How the request arrived: the entry routes, a batch, offline sync...
+    source: {
+      type: String,
+      default: "api",
+    },
+    client: {
+      ip: String,
+      userAgent: String,
+      appVersion: String,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// A user's own log, newest first
+auditEventSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+// Admin queries across users
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ "target.id": 1, createdAt: -1 });
+auditEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AUDIT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+AuditEvent.AUDIT_RETENTION_DAYS = AUDIT_RETENTION_DAYS;
+
+module.exports = AuditEvent;
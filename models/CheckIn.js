@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// One day's outcome for a mistake the user is trying to avoid. Days without
+// a check-in simply have no document. Streaks and calendars are derived
+// from these.
+const checkInSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    mistakeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Local calendar day in the user's time zone (YYYY-MM-DD)
+    day: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["avoided", "repeated"],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+checkInSchema.index({ mistakeId: 1, day: 1 }, { unique: true });
+// Date-range reads (reports, analytics); status is included so they don't
+// have to load the documents
+checkInSchema.index({ userId: 1, day: 1, status: 1 });
+
+module.exports = mongoose.model("CheckIn", checkInSchema);
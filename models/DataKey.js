@@ -0,0 +1,23 @@
+// models/DataKey.js
+
+const mongoose = require("mongoose");
+
+// Per-user encryption keys, stored wrapped (encrypted) with the master key
+// from the environment. "data" keys encrypt entry text and can be rotated;
+// the "index" key derives blind search tokens and never changes.
+const DataKeySchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, index: true },
+    purpose: { type: String, enum: ["data", "index"], default: "data" },
+    version: { type: Number, required: true },
+    wrappedKey: { type: String, required: true },
+    // Which master key wrapped this key, so rotation can find stale ones
+    masterKeyId: { type: String, required: true, index: true },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+DataKeySchema.index({ userId: 1, purpose: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model("DataKey", DataKeySchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// An FCM registration token for one of the user's devices. A token belongs
+// to a single install, so registering it again under another account moves
+// it there.
+const deviceTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    platform: {
+      type: String,
+      enum: ["ios", "android", "web"],
+      required: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("DeviceToken", deviceTokenSchema);
@@ -0,0 +1,20 @@
+// models/ErasureReceipt.js
+
+const mongoose = require("mongoose");
+
+// Proof that an account was erased. It outlives the account, so it holds
+// no personal data: the subject is only a hash of the Firebase UID.
+const ErasureReceiptSchema = new mongoose.Schema(
+  {
+    receiptId: { type: String, required: true, unique: true },
+    subjectHash: { type: String, required: true },
+    requestedAt: { type: Date },
+    completedAt: { type: Date, required: true },
+    firebaseUserDeleted: { type: Boolean, default: false },
+    // Number of documents removed per collection
+    deletedCounts: { type: Map, of: Number, default: {} },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ErasureReceipt", ErasureReceiptSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+const softDelete = require('./plugins/softDelete');
+const revisionHistory = require('./plugins/revisionHistory');
+const derivedFields = require('./plugins/derivedFields');
+const { sentimentSummary } = require('../utils/sentiment');
 
 const journalSchema = new mongoose.Schema({
   userId: {
@@ -25,16 +30,71 @@ const journalSchema = new mongoose.Schema({
     enum: ['very_happy', 'happy', 'neutral', 'sad', 'very_sad'],
     default: 'neutral'
   },
+  // Detected from `content` by utils/sentiment; kept next to the mood the
+  // user picked, never replacing it
+  sentiment: {
+    score: Number,
+    suggestedMood: {
+      type: String,
+      enum: ['very_happy', 'happy', 'neutral', 'sad', 'very_sad']
+    },
+    positiveWords: Number,
+    negativeWords: Number
+  },
   type: {
     type: String,
     default: 'journal'
+  },
+  // Id the mobile app gave the entry while offline; makes creates idempotent
+  clientId: {
+    type: String
   }
 }, {
   timestamps: true
 });
 
+// Scores the plaintext, so it runs before encryption
+journalSchema.plugin(derivedFields, {
+  source: 'content',
+  target: 'sentiment',
+  derive: sentimentSummary
+});
+
+// Edits keep the previous version; registered before encryption so it
+// compares plaintext
+journalSchema.plugin(revisionHistory, { type: 'journal' });
+
+// Entry text is encrypted at rest when ENCRYPTION_MASTER_KEY is set
+journalSchema.plugin(encryptedFields, {
+  fields: ['content'],
+  searchable: ['content']
+});
+
+// Deleted entries go to the trash first
+journalSchema.plugin(softDelete);
+
 // Index for efficient queries
 journalSchema.index({ userId: 1, date: -1 });
 journalSchema.index({ userId: 1, createdAt: -1 });
+// Keyset order used by the cross-module timeline
+journalSchema.index({ userId: 1, date: -1, createdAt: -1, _id: -1 });
+// One entry per client-generated id
+journalSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+// Keyset order of sync pulls
+journalSchema.index({ userId: 1, updatedAt: 1, _id: 1 });
+// Keyset order of the default list page, newest first
+journalSchema.index({ userId: 1, deletedAt: 1, createdAt: -1, _id: -1 });
+// Covers the analytics pipeline: one user's live entries over a date range,
+// with the only field it reads
+journalSchema.index({ userId: 1, deletedAt: 1, date: 1, mood: 1 });
+// Full-text search, prefixed by userId so each query only scans one user's
+// entries. MongoDB allows a single text index per collection.
+journalSchema.index(
+  { userId: 1, content: 'text', tags: 'text' },
+  { weights: { content: 10, tags: 5 }, name: 'journal_text' }
+);
 
 module.exports = mongoose.model('Journal', journalSchema);
\ No newline at end of file
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const encryptedFields = require("./plugins/encryptedFields");
+const softDelete = require("./plugins/softDelete");
+const revisionHistory = require("./plugins/revisionHistory");
 
 const mistakeSchema = new mongoose.Schema(
   {
@@ -39,19 +42,11 @@ const mistakeSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    streakInfo: {
-      currentStreak: {
-        type: Number,
-        default: 0,
-      },
-      bestStreak: {
-        type: Number,
-        default: 0,
-      },
-      lastAvoidedDate: {
-        type: String,
-        default: "",
-      },
+    // Best streak carried over from before check-ins were recorded. Current
+    // and best streaks are otherwise derived from CheckIn documents.
+    legacyBestStreak: {
+      type: Number,
+      default: 0,
     },
     tags: [
       {
@@ -64,15 +59,50 @@ const mistakeSchema = new mongoose.Schema(
       type: String,
       default: "mistake",
     },
+    // Id the mobile app gave the entry while offline; makes creates
+    // idempotent
+    clientId: {
+      type: String,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Edits keep the previous version; registered before encryption so it
+// compares plaintext
+mistakeSchema.plugin(revisionHistory, { type: "mistake" });
+
+// Entry text is encrypted at rest when ENCRYPTION_MASTER_KEY is set
+mistakeSchema.plugin(encryptedFields, {
+  fields: ["mistake", "solution"],
+  searchable: ["mistake", "solution"],
+});
+
+// Deleted entries go to the trash first
+mistakeSchema.plugin(softDelete);
+
 // Index for efficient queries
 mistakeSchema.index({ userId: 1, date: -1 });
 mistakeSchema.index({ userId: 1, createdAt: -1 });
+// Keyset order used by the cross-module timeline
+mistakeSchema.index({ userId: 1, date: -1, createdAt: -1, _id: -1 });
 mistakeSchema.index({ userId: 1, category: 1 });
+// One entry per client-generated id
+mistakeSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+// Keyset order of sync pulls
+mistakeSchema.index({ userId: 1, updatedAt: 1, _id: 1 });
+// Keyset order of the default list page, newest first
+mistakeSchema.index({ userId: 1, deletedAt: 1, createdAt: -1, _id: -1 });
+// Full-text search, prefixed by userId so each query only scans one user's
+// entries. MongoDB allows a single text index per collection.
+mistakeSchema.index(
+  { userId: 1, mistake: "text", solution: "text", tags: "text" },
+  { weights: { mistake: 10, solution: 5, tags: 3 }, name: "mistake_text" }
+);
 
 module.exports = mongoose.model("Mistake", mistakeSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+const softDelete = require('./plugins/softDelete');
+const revisionHistory = require('./plugins/revisionHistory');
+const derivedFields = require('./plugins/derivedFields');
+const { DISTORTION_TYPES, distortionSummary } = require('../utils/distortions');
 
 const overthinkingSchema = new mongoose.Schema({
   userId: {
@@ -34,6 +39,47 @@ const overthinkingSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Worry time: a thought can be put off until a scheduled review slot
+  nextReviewAt: {
+    type: Date,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  reviews: [{
+    _id: false,
+    reviewedAt: { type: Date, default: Date.now },
+    outcome: {
+      type: String,
+      enum: ['resolved', 'dumped', 'rescheduled', 'still_worrying'],
+      required: true
+    },
+    // Intensity before and after the review, so the change can be charted
+    previousIntensity: { type: Number, min: 1, max: 10 },
+    intensity: { type: Number, min: 1, max: 10, required: true },
+    nextReviewAt: { type: Date, default: null }
+  }],
+  // Likely cognitive distortions in the thought, detected on save
+  distortions: [{
+    _id: false,
+    type: { type: String, enum: DISTORTION_TYPES, required: true },
+    matchCount: { type: Number, default: 1 }
+  }],
+  // What actually happened, recorded once the feared event has passed
+  outcome: {
+    happened: {
+      type: String,
+      enum: ['no', 'partly', 'yes']
+    },
+    // How bad it really was, on the same 1-10 scale as intensity
+    actualSeverity: { type: Number, min: 1, max: 10 },
+    // The intensity first predicted, before any worry-time re-rating
+    predictedIntensity: { type: Number, min: 1, max: 10 },
+    notes: { type: String },
+    recordedAt: { type: Date }
+  },
   tags: [{
     type: String,
     lowercase: true,
@@ -42,14 +88,65 @@ const overthinkingSchema = new mongoose.Schema({
   type: {
     type: String,
     default: 'overthinking'
+  },
+  // Id the mobile app gave the entry while offline; makes creates idempotent
+  clientId: {
+    type: String
   }
 }, {
   timestamps: true
 });
 
+// Distortions are detected from the plaintext thought, so this comes
+// before the encryption plugin
+overthinkingSchema.plugin(derivedFields, {
+  source: 'thought',
+  target: 'distortions',
+  derive: distortionSummary
+});
+
+// Edits keep the previous version; registered before encryption so it
+// compares plaintext
+overthinkingSchema.plugin(revisionHistory, { type: 'overthinking' });
+
+// Entry text is encrypted at rest when ENCRYPTION_MASTER_KEY is set
+overthinkingSchema.plugin(encryptedFields, {
+  fields: ['thought', 'solution', 'outcome.notes'],
+  searchable: ['thought', 'solution']
+});
+
+// Deleted entries go to the trash first
+overthinkingSchema.plugin(softDelete);
+
 // Index for efficient queries
 overthinkingSchema.index({ userId: 1, date: -1 });
 overthinkingSchema.index({ userId: 1, createdAt: -1 });
+// Review queue: thoughts whose worry time has come
+overthinkingSchema.index({ userId: 1, nextReviewAt: 1 });
+// Filtering and counting by distortion
+overthinkingSchema.index({ userId: 1, 'distortions.type': 1 });
+// Outcome stats only look at thoughts with a recorded outcome
+overthinkingSchema.index({ userId: 1, 'outcome.recordedAt': 1 });
+// Keyset order used by the cross-module timeline
+overthinkingSchema.index({ userId: 1, date: -1, createdAt: -1, _id: -1 });
 overthinkingSchema.index({ userId: 1, category: 1 });
+// One entry per client-generated id
+overthinkingSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+// Keyset order of sync pulls
+overthinkingSchema.index({ userId: 1, updatedAt: 1, _id: 1 });
+// Keyset order of the default list page, newest first
+overthinkingSchema.index({ userId: 1, deletedAt: 1, createdAt: -1, _id: -1 });
+// Covers the analytics pipeline: one user's live entries over a date range,
+// with the fields it reads
+overthinkingSchema.index({ userId: 1, deletedAt: 1, date: 1, intensity: 1, dumped: 1 });
+// Full-text search, prefixed by userId so each query only scans one user's
+// entries. MongoDB allows a single text index per collection.
+overthinkingSchema.index(
+  { userId: 1, thought: 'text', solution: 'text', tags: 'text' },
+  { weights: { thought: 10, solution: 5, tags: 3 }, name: 'overthinking_text' }
+);
 
 module.exports = mongoose.model('Overthinking', overthinkingSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Request count for one rate limit key in one window, used by the "mongo"
+// rate limit store so several server instances share their counts
+const rateLimitCounterSchema = new mongoose.Schema({
+  // Budget, client and window start, e.g. "write:uid:abc:1700000000000"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Counters are dropped once their window is over
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
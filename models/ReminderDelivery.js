@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// One reminder for one user on one local day. The unique index is how the
+// scheduler claims a reminder before sending it, so it goes out at most
+// once a day even with several server instances running the job.
+const reminderDeliverySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    reminderType: {
+      type: String,
+      enum: ["journal", "overthinkingReview", "mistakeCheckIn"],
+      required: true,
+    },
+    // Local day in the user's time zone (YYYY-MM-DD)
+    day: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sent", "skipped", "failed"],
+      default: "pending",
+    },
+    successCount: {
+      type: Number,
+      default: 0,
+    },
+    failureCount: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reminderDeliverySchema.index(
+  { userId: 1, reminderType: 1, day: 1 },
+  { unique: true }
+);
+// Delivery records are only needed to avoid duplicates; drop them after
+// 90 days
+reminderDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("ReminderDelivery", reminderDeliverySchema);
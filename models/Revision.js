@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const encryptedFields = require("./plugins/encryptedFields");
+
+// A previous version of a journal, overthinking or mistake entry. Versions
+// count up from 1 (the original); the entry itself is always the current
+// version.
+const revisionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    entryType: {
+      type: String,
+      enum: ["journal", "overthinking", "mistake"],
+      required: true,
+    },
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    // When this version was written (the entry's updatedAt at the time)
+    savedAt: {
+      type: Date,
+    },
+    // The tracked fields of the entry type, as they were
+    snapshot: {
+      content: String,
+      thought: String,
+      mistake: String,
+      solution: String,
+      mood: String,
+      category: String,
+      intensity: Number,
+      dumped: Boolean,
+      avoided: Boolean,
+      tags: [String],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+revisionSchema.plugin(encryptedFields, {
+  fields: [
+    "snapshot.content",
+    "snapshot.thought",
+    "snapshot.mistake",
+    "snapshot.solution",
+  ],
+});
+
+revisionSchema.index({ entryId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("Revision", revisionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Marker left when an entry is erased for good, so offline clients that
+// pull changes learn it is gone. Trashed entries don't need one: they are
+// still stored and carry their own deletedAt.
+const parsedRetentionDays = parseInt(process.env.SYNC_TOMBSTONE_DAYS);
+const TOMBSTONE_RETENTION_DAYS = Number.isNaN(parsedRetentionDays)
+  ? 90
+  : parsedRetentionDays;
+
+const tombstoneSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    entryType: {
+      type: String,
+      enum: ["journal", "overthinking", "mistake"],
+      required: true,
+    },
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    clientId: {
+      type: String,
+    },
+    purgedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Keyset order used by sync pulls
+tombstoneSchema.index({ userId: 1, createdAt: 1, _id: 1 });
+// Clients offline for longer than this need a full resync
+tombstoneSchema.index(
+  { purgedAt: 1 },
+  { expireAfterSeconds: TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const Tombstone = mongoose.model("Tombstone", tombstoneSchema);
+Tombstone.TOMBSTONE_RETENTION_DAYS = TOMBSTONE_RETENTION_DAYS;
+
+module.exports = Tombstone;
@@ -1,6 +1,20 @@
 // models/User.js
 
 const mongoose = require("mongoose");
+const { isValidTimeZone } = require("../utils/dates");
+const {
+  TIME_PATTERN,
+  WEEKDAYS,
+  WEEK_STARTS,
+  isValidLocale,
+} = require("../utils/preferences");
+
+// Local "HH:MM" time a reminder goes out at
+const reminderTime = (defaultTime) => ({
+  type: String,
+  default: defaultTime,
+  match: [TIME_PATTERN, "time must be in HH:MM format"],
+});
 
 const UserSchema = new mongoose.Schema(
   {
@@ -26,8 +40,79 @@ const UserSchema = new mongoose.Schema(
         default: "trial",
       },
     },
+
+    // Settings that shape dates and reminders. Every "today", "this week"
+    // and "this month" is worked out in this time zone.
+    preferences: {
+      timezone: {
+        type: String,
+        default: "UTC",
+        validate: {
+          validator: isValidTimeZone,
+          message: "timezone must be an IANA time zone",
+        },
+      },
+      locale: {
+        type: String,
+        default: "en-US",
+        validate: {
+          validator: isValidLocale,
+          message: "locale must be a language tag",
+        },
+      },
+      weekStart: {
+        type: String,
+        enum: WEEK_STARTS,
+        default: "monday",
+      },
+      reminders: {
+        journal: {
+          enabled: { type: Boolean, default: false },
+          time: reminderTime("21:00"),
+        },
+        overthinkingReview: {
+          enabled: { type: Boolean, default: false },
+          time: reminderTime("18:00"),
+          days: {
+            type: [{ type: String, enum: WEEKDAYS }],
+            default: ["sunday"],
+          },
+        },
+        mistakeCheckIn: {
+          enabled: { type: Boolean, default: false },
+          time: reminderTime("20:00"),
+        },
+      },
+      // Daily slot postponed thoughts are scheduled into by default
+      worryTime: reminderTime("18:00"),
+      // No reminders are sent between start and end (local time); the
+      // range may cross midnight
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: reminderTime("22:00"),
+        end: reminderTime("07:00"),
+      },
+    },
+
+    // Last change to preferences, compared by offline sync
+    preferencesUpdatedAt: { type: Date },
+
+    // Pending account deletion; cleared if the user undoes it before
+    // scheduledFor, otherwise the purge job erases the account
+    deletion: {
+      requestedAt: { type: Date },
+      scheduledFor: { type: Date, index: true },
+      deleteFirebaseUser: { type: Boolean, default: false },
+      receiptId: { type: String },
+    },
   },
   { timestamps: true } // adds createdAt and updatedAt
 );
 
+UserSchema.pre("save", function () {
+  if (this.isNew || this.isModified("preferences")) {
+    this.preferencesUpdatedAt = new Date();
+  }
+});
+
 module.exports = mongoose.model("User", UserSchema);
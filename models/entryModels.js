@@ -0,0 +1,14 @@
+const Journal = require("./Journal");
+const Overthinking = require("./Overthinking");
+const Mistake = require("./Mistake");
+
+// Entry models keyed by the `type` value each schema stores on its documents
+const ENTRY_MODELS = {
+  journal: Journal,
+  overthinking: Overthinking,
+  mistake: Mistake,
+};
+
+const ENTRY_TYPES = Object.keys(ENTRY_MODELS);
+
+module.exports = { ENTRY_MODELS, ENTRY_TYPES };
@@ -0,0 +1,27 @@
+// Mongoose plugin that keeps a field computed from another one, e.g. the
+// distortions found in a thought. `derive` gets the source value and
+// returns the target's value.
+//
+// Register it before encryptedFields: its hooks must see the plaintext.
+
+const derivedFields = (schema, { source, target, derive }) => {
+  schema.pre("save", function () {
+    if (this.isNew || this.isModified(source)) {
+      this.set(target, derive(this.get(source)));
+    }
+  });
+
+  // insertMany skips save hooks; imports come through here
+  schema.pre("insertMany", function (next, docs) {
+    (Array.isArray(docs) ? docs : [docs]).forEach((doc) => {
+      if (typeof doc.get === "function") {
+        doc.set(target, derive(doc.get(source)));
+      } else {
+        doc[target] = derive(doc[source]);
+      }
+    });
+    next();
+  });
+};
+
+module.exports = derivedFields;
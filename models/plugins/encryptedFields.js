@@ -0,0 +1,150 @@
+// Mongoose plugin that transparently encrypts string fields at rest.
+//
+// Values are encrypted just before save and decrypted after find/findOne
+// (including lean queries), so routes only ever see plaintext. Query cursors
+// skip post-find hooks; call `Model.decryptDocument(doc)` on each document
+// they yield. Fields listed in `searchable` also get blind index tokens so
+// search keeps working on encrypted text.
+
+const {
+  isEncryptionEnabled,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  blindIndexTokens,
+} = require("../../utils/fieldEncryption");
+
+const isHydrated = (doc) => typeof doc?.get === "function";
+
+// Paths may be nested ("snapshot.content"), also on lean documents
+const readField = (doc, path) =>
+  isHydrated(doc)
+    ? doc.get(path)
+    : path.split(".").reduce((value, key) => value?.[key], doc);
+
+const writePlain = (doc, path, value) => {
+  const keys = path.split(".");
+  const parent = keys.slice(0, -1).reduce((obj, key) => obj?.[key], doc);
+  if (parent) parent[keys[keys.length - 1]] = value;
+};
+
+const encryptedFields = (schema, { fields, searchable = [] }) => {
+  if (searchable.length) {
+    schema.add({ searchTokens: { type: [String], select: false } });
+    schema.index({ userId: 1, searchTokens: 1 });
+
+    const toJSON = schema.get("toJSON") || {};
+    schema.set("toJSON", {
+      ...toJSON,
+      transform(doc, ret, options) {
+        delete ret.searchTokens;
+        return typeof toJSON.transform === "function"
+          ? toJSON.transform(doc, ret, options)
+          : ret;
+      },
+    });
+  }
+
+  // Replaces ciphertext with plaintext in place. Hydrated documents are left
+  // unmodified so saving them again only touches fields that really changed.
+  const decryptDocument = async (doc) => {
+    if (!doc) return doc;
+    const userId = readField(doc, "userId");
+    for (const path of fields) {
+      const value = readField(doc, path);
+      if (!isEncrypted(value)) continue;
+      if (!userId) {
+        throw new Error(`Cannot decrypt ${path} without the document's userId`);
+      }
+      const plaintext = await decryptValue(userId, value);
+      if (isHydrated(doc)) {
+        doc.set(path, plaintext);
+        doc.unmarkModified(path);
+      } else {
+        writePlain(doc, path, plaintext);
+      }
+    }
+    return doc;
+  };
+
+  const encryptPlain = async (doc) => {
+    const userId = doc.userId;
+    if (searchable.length) {
+      doc.searchTokens = await blindIndexTokens(
+        userId,
+        searchable.map((path) => readField(doc, path))
+      );
+    }
+    for (const path of fields) {
+      writePlain(doc, path, await encryptValue(userId, readField(doc, path)));
+    }
+  };
+
+  schema.statics.decryptDocument = decryptDocument;
+
+  schema.pre("save", async function () {
+    if (!isEncryptionEnabled()) return;
+    const changed = fields.filter(
+      (path) => this.isNew || this.isModified(path)
+    );
+    if (!changed.length) return;
+
+    // Blind index tokens cover every searchable field, so unchanged fields
+    // still holding ciphertext are decrypted first
+    await decryptDocument(this);
+    const plaintext = {};
+    fields.forEach((path) => {
+      plaintext[path] = this.get(path);
+    });
+    this.$locals.plaintext = plaintext;
+
+    if (searchable.length) {
+      this.searchTokens = await blindIndexTokens(
+        this.userId,
+        searchable.map((path) => plaintext[path])
+      );
+    }
+    for (const path of changed) {
+      this.set(path, await encryptValue(this.userId, plaintext[path]));
+    }
+  });
+
+  // Hand the caller back the plaintext it saved
+  schema.post("save", function () {
+    const plaintext = this.$locals.plaintext;
+    if (!plaintext) return;
+    for (const path of fields) {
+      this.set(path, plaintext[path]);
+      this.unmarkModified(path);
+    }
+    delete this.$locals.plaintext;
+  });
+
+  schema.pre("insertMany", function (next, docs) {
+    if (!isEncryptionEnabled()) return next();
+    const list = Array.isArray(docs) ? docs : [docs];
+    Promise.all(
+      list.map((doc) => {
+        if (!isHydrated(doc)) return encryptPlain(doc);
+        const plain = doc.toObject();
+        return encryptPlain(plain).then(() => {
+          fields.forEach((path) => doc.set(path, readField(plain, path)));
+          if (searchable.length) doc.set("searchTokens", plain.searchTokens);
+        });
+      })
+    ).then(() => next(), next);
+  });
+
+  const decryptResult = async function (result) {
+    if (!result) return;
+    const docs = Array.isArray(result) ? result : [result];
+    await Promise.all(docs.map(decryptDocument));
+  };
+
+  schema.post("insertMany", decryptResult);
+  schema.post("find", decryptResult);
+  schema.post("findOne", decryptResult);
+  schema.post("findOneAndUpdate", decryptResult);
+};
+
+module.exports = encryptedFields;
@@ -0,0 +1,34 @@
+// Mongoose plugin that keeps the previous version of an entry whenever a
+// save changes one of its tracked fields. Updates that bypass save()
+// (updateMany, findOneAndUpdate) are not versioned.
+
+const {
+  REVISION_FIELDS,
+  snapshotOf,
+  snapshotsDiffer,
+  recordRevision,
+} = require("../../utils/revisions");
+
+const revisionHistory = (schema, { type }) => {
+  const fields = REVISION_FIELDS[type];
+
+  schema.pre("save", async function () {
+    if (this.isNew || !fields.some((field) => this.isModified(field))) return;
+
+    // Read back what is stored (decrypted) rather than trusting in-memory
+    // state, which may already hold ciphertext or partial edits. Both reads
+    // and writes join the save's transaction, if any.
+    const session = this.$session();
+    const previous = await this.constructor
+      .findOne({ _id: this._id })
+      .setOptions({ withDeleted: true })
+      .session(session)
+      .lean();
+    if (!previous) return;
+    if (!snapshotsDiffer(type, previous, snapshotOf(type, this))) return;
+
+    await recordRevision(type, previous, session);
+  });
+};
+
+module.exports = revisionHistory;
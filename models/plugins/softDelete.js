@@ -0,0 +1,51 @@
+// Mongoose plugin for soft deletion. Deleted documents keep a `deletedAt`
+// timestamp and are hidden from find/findOne/countDocuments/aggregate until
+// they are restored or purged.
+//
+// To see trashed documents, either filter on `deletedAt` explicitly or set
+// the `withDeleted` query option. deleteOne/deleteMany are never filtered, so
+// they remain the way to erase documents for good.
+
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "findOneAndUpdate",
+];
+
+const softDelete = (schema) => {
+  schema.add({ deletedAt: { type: Date, default: null, index: true } });
+  schema.index({ userId: 1, deletedAt: -1 });
+
+  const excludeDeleted = function () {
+    if (this.getOptions().withDeleted) return;
+    if (this.getFilter().deletedAt !== undefined) return;
+    // null also matches documents written before the field existed
+    this.where({ deletedAt: null });
+  };
+  FILTERED_QUERIES.forEach((op) => schema.pre(op, excludeDeleted));
+
+  // Merged into a leading $match so stages that must come first ($text,
+  // $geoNear) keep their place
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first?.$match) {
+      if (first.$match.deletedAt === undefined) first.$match.deletedAt = null;
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.softDelete = function () {
+    this.deletedAt = new Date();
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    return this.save();
+  };
+};
+
+module.exports = softDelete;
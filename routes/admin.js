@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listAuditEvents,
+  auditFilter,
+  parseAuditPage,
+} = require("../utils/audit");
+const { invalidField } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/audit");
+
+// Audit events across users, newest first. Same filters as /api/audit plus
+// ?userId and ?actorId. Admin queries are audited themselves.
+router.get("/audit", validate(schemas.adminList), async (req, res, next) => {
+  try {
+    const { userId, actorId } = req.query;
+    console.log(
+      `[admin] GET /audit - admin=${req.user.uid} userId=${userId} actorId=${actorId}`
+    );
+
+    const page = parseAuditPage(req.query);
+    if (page.error) throw invalidField(`query.${page.field}`, page.error);
+
+    const filter = auditFilter(req.query);
+    if (userId) filter.userId = userId;
+    if (actorId) filter.actorId = actorId;
+
+    req.audit("admin.audit_query", {
+      metadata: { userId, actorId, action: req.query.action },
+    });
+    res.json(await listAuditEvents(filter, page));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
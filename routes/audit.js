@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listAuditEvents,
+  auditFilter,
+  parseAuditPage,
+} = require("../utils/audit");
+const { invalidField } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/audit");
+
+// The authenticated user's own audit log, newest first:
+// ?action=entry.delete|entry.*&targetType&targetId&from&to&limit&cursor
+router.get("/", validate(schemas.list), async (req, res, next) => {
+  try {
+    const userId = req.user.uid;
+    console.log(`[audit] GET / - userId=${userId}`);
+
+    const page = parseAuditPage(req.query);
+    if (page.error) throw invalidField(`query.${page.field}`, page.error);
+
+    res.json(
+      await listAuditEvents({ ...auditFilter(req.query), userId }, page)
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,60 +1,243 @@
 const express = require("express");
 const verifyToken = require("../verifyToken");
 const User = require("../models/User");
+const ErasureReceipt = require("../models/ErasureReceipt");
+const {
+  deletionStatus,
+  isDeletionPending,
+  scheduleDeletion,
+  cancelDeletion,
+} = require("../utils/accountDeletion");
+const { TRIAL_PERIOD_DAYS, countEntriesThisMonth } = require("../utils/plans");
+const { loadEntitlements } = require("../middleware/entitlements");
+const { requestTimeZone } = require("../utils/dates");
+const { notFound, forbidden } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const schemas = require("../validators/auth");
 const router = express.Router();
 
+// Signed-in routes are throttled by uid, the public ones by IP
+const signedIn = [verifyToken, rateLimit()];
+router.use(["/signup", "/account/receipt"], rateLimit("public"));
+
 // (Removed) Forgot password is handled on Mobile via Firebase client SDK
 
-// Example protected route
-router.get("/profile", verifyToken, async (req, res) => {
-  const { uid } = req.query;
+// The signed-in user's profile. Older clients still send ?uid=, which
+// has to match the token.
+router.get(
+  "/profile",
+  signedIn,
+  validate(schemas.profile),
+  async (req, res, next) => {
+    try {
+      const uid = req.user.uid;
+      if (req.query.uid !== undefined && req.query.uid !== uid) {
+        throw forbidden("You can only read your own profile");
+      }
 
-  if (!uid) {
-    return res.status(400).json({ error: "UID is required" });
-  }
+      const user = await User.findOne({ firebaseUid: uid });
+      if (!user) {
+        throw notFound("User not found");
+      }
 
-  const user = await User.findOne({ firebaseUid: uid });
-  if (!user) {
-    return res.status(404).json({ error: "User not found" });
+      req.audit("account.profile_read", {
+        userId: uid,
+        target: { type: "user", id: uid },
+      });
+      res.json({ message: "Secure profile data", user: user });
+    } catch (error) {
+      next(error);
+    }
   }
+);
 
-  res.json({ message: "Secure profile data", user: user });
-});
-
-router.post("/signup", async (req, res) => {
+// Signing up twice with the same uid is a 409 DUPLICATE
+router.post("/signup", validate(schemas.signup), async (req, res, next) => {
   console.log("Signup request body:", req.body);
-  const trialPeriodDays = 7; // Define the trial period duration
 
-  const { uid, email, name, trialStart } = req.body;
-  if (!uid || !email) {
-    return res.status(400).json({ error: "UID and email are required" });
-  }
-  // Here you would typically create the user in your database
+  const { uid, email, name, timezone } = req.body;
   try {
+    // The trial always starts now; a client-supplied start could push the
+    // end out indefinitely
+    const start = new Date();
     const user = new User({
       firebaseUid: uid,
       email,
       name,
-      trialStart,
-      trialEnd: trialStart
-        ? new Date(
-            new Date(trialStart).getTime() +
-              trialPeriodDays * 24 * 60 * 60 * 1000
-          )
-        : null,
+      subscription: {
+        plan: "trial",
+        trialStart: start,
+        trialEnd: new Date(
+          start.getTime() + TRIAL_PERIOD_DAYS * 24 * 60 * 60 * 1000
+        ),
+      },
+      // The app can send the device time zone so dates are right from the
+      // first entry
+      preferences: timezone ? { timezone } : undefined,
     });
 
     await user.save();
+    // Signup isn't authenticated, so the event has no actor
+    req.audit("account.signup", {
+      userId: uid,
+      target: { type: "user", id: uid },
+    });
 
     return res.status(201).json({
       message: "User signed up successfully",
       user: { uid, email, name },
     });
   } catch (error) {
-    console.log("Error creating user:", error);
-    return res.status(500).json({ error: "Internal server error" });
+    next(error);
+  }
+});
+
+// Current plan, remaining trial days and quota usage
+router.get(
+  "/subscription",
+  signedIn,
+  loadEntitlements,
+  async (req, res, next) => {
+    try {
+      const entitlements = req.entitlements;
+      const used = await countEntriesThisMonth(
+        req.user.uid,
+        requestTimeZone(req)
+      );
+      const limit = entitlements.entriesPerMonth;
+
+      res.json({
+        plan: entitlements.plan,
+        effectivePlan: entitlements.effectivePlan,
+        status: entitlements.status,
+        trialEndsAt: entitlements.trialEndsAt,
+        trialDaysRemaining: entitlements.trialDaysRemaining,
+        features: entitlements.features,
+        quotas: {
+          entriesPerMonth: {
+            limit,
+            used,
+            remaining: limit === null ? null : Math.max(0, limit - used),
+          },
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Request account deletion. Everything is erased once the grace period ends
+// unless the user restores the account first.
+router.delete(
+  "/account",
+  signedIn,
+  validate(schemas.deleteAccount),
+  async (req, res, next) => {
+    try {
+      const uid = req.user.uid;
+      const { deleteFirebaseUser = false } = req.body || {};
+      console.log(`[auth] DELETE /account - uid=${uid}`);
+
+      const user = await User.findOne({ firebaseUid: uid });
+      if (!user) {
+        throw notFound("User not found");
+      }
+
+      if (isDeletionPending(user)) {
+        return res.status(202).json({
+          message: "Account deletion already scheduled",
+          deletion: deletionStatus(user),
+        });
+      }
+
+      const deletion = await scheduleDeletion(user, { deleteFirebaseUser });
+      req.audit("account.deletion_requested", {
+        metadata: {
+          scheduledFor: deletion.scheduledFor,
+          deleteFirebaseUser,
+          receiptId: deletion.receiptId,
+        },
+      });
+      res.status(202).json({ message: "Account deletion scheduled", deletion });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Pending deletion status for the authenticated user
+router.get("/account/deletion", signedIn, async (req, res, next) => {
+  try {
+    const user = await User.findOne({ firebaseUid: req.user.uid });
+    if (!user) {
+      throw notFound("User not found");
+    }
+
+    res.json({
+      pending: isDeletionPending(user),
+      deletion: isDeletionPending(user) ? deletionStatus(user) : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Undo a pending deletion during the grace period
+router.post("/account/restore", signedIn, async (req, res, next) => {
+  try {
+    const uid = req.user.uid;
+    console.log(`[auth] POST /account/restore - uid=${uid}`);
+
+    const user = await User.findOne({ firebaseUid: uid });
+    if (!user || !isDeletionPending(user)) {
+      throw notFound("No pending account deletion");
+    }
+
+    await cancelDeletion(user);
+    req.audit("account.deletion_cancelled");
+    res.json({ message: "Account deletion cancelled" });
+  } catch (error) {
+    next(error);
   }
-  // For demonstration, we'll just return the received data
 });
 
+// Erasure receipt. Public because the account (and possibly the Firebase
+// user) no longer exists; the receipt id from the deletion request is the
+// only way to find it and the receipt holds no personal data.
+router.get(
+  "/account/receipt/:receiptId",
+  validate(schemas.receipt),
+  async (req, res, next) => {
+    try {
+      const receipt = await ErasureReceipt.findOne({
+        receiptId: req.params.receiptId,
+      });
+
+      if (!receipt) {
+        const pending = await User.exists({
+          "deletion.receiptId": req.params.receiptId,
+        });
+        if (!pending) throw notFound("Receipt not found");
+        return res.status(202).json({ status: "pending" });
+      }
+
+      res.json({
+        status: "completed",
+        receipt: {
+          receiptId: receipt.receiptId,
+          subjectHash: receipt.subjectHash,
+          requestedAt: receipt.requestedAt,
+          completedAt: receipt.completedAt,
+          firebaseUserDeleted: receipt.firebaseUserDeleted,
+          deletedCounts: receipt.deletedCounts,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router; // ✅ must export router
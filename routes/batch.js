@@ -0,0 +1,41 @@
+const express = require("express");
+const router = express.Router();
+const { runBatch } = require("../utils/batch");
+const { requestTimeZone } = require("../utils/dates");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/batch");
+
+// Apply several entry operations at once:
+// { operations: [{ op, type, id?, data? }], atomic? }. Responds with one
+// result per operation; with atomic: true either all of them apply or none
+// do and the failing one is reported as the error.
+router.post("/", validate(schemas.run), async (req, res, next) => {
+  try {
+    const userId = req.user.uid;
+    const { operations, atomic = false } = req.body;
+    console.log(
+      `[batch] POST / - userId=${userId} operations=${operations.length} atomic=${atomic}`
+    );
+
+    const results = await runBatch(
+      {
+        userId,
+        entitlements: req.entitlements,
+        timeZone: requestTimeZone(req),
+        audit: req.audit,
+      },
+      operations,
+      { atomic }
+    );
+    res.json({
+      atomic,
+      succeeded: results.filter((result) => result.status < 400).length,
+      failed: results.filter((result) => result.status >= 400).length,
+      results,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
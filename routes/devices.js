@@ -0,0 +1,90 @@
+const express = require("express");
+const router = express.Router();
+const DeviceToken = require("../models/DeviceToken");
+const { sendToUser } = require("../utils/notifications");
+const { unauthorized, notFound } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/devices");
+
+// Devices registered for push notifications
+router.get("/", async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+
+    const devices = await DeviceToken.find({ userId })
+      .sort({ lastSeenAt: -1 })
+      .select("token platform lastSeenAt createdAt")
+      .lean();
+
+    res.json({ devices });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Register (or refresh) this device's FCM token. Apps should call this on
+// every launch since FCM rotates tokens.
+router.post("/", validate(schemas.register), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { token, platform } = req.body;
+    console.log(`[devices] POST / - userId=${userId} platform=${platform}`);
+
+    const device = await DeviceToken.findOneAndUpdate(
+      { token },
+      { $set: { userId, platform, lastSeenAt: new Date() } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(201).json(device);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a test notification to all of the user's devices
+router.post("/test", async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    console.log(`[devices] POST /test - userId=${userId}`);
+
+    const result = await sendToUser(userId, {
+      title: "Notifications are on",
+      body: "This is how your reminders will arrive.",
+      data: { type: "test" },
+    });
+    if (!result.devices) throw notFound("No registered devices");
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unregister a device, e.g. on sign out
+router.delete(
+  "/:token",
+  validate(schemas.unregister),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      console.log(`[devices] DELETE /:token - userId=${userId}`);
+
+      const result = await DeviceToken.deleteOne({
+        token: req.params.token,
+        userId,
+      });
+      if (!result.deletedCount) throw notFound("Device not found");
+
+      res.json({ message: "Device unregistered" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require("express");
+const { Readable } = require("stream");
+const archiver = require("archiver");
+const router = express.Router();
+const { ENTRY_TYPES } = require("../models/entryModels");
+const {
+  CSV_FILES,
+  jsonBundle,
+  csvRows,
+  markdownDiary,
+} = require("../utils/export");
+const { unauthorized } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const { FORMATS, ...schemas } = require("../validators/export");
+
+const streamOf = (generator) => Readable.from(generator, { objectMode: false });
+
+// Download everything the authenticated user owns as a zip archive
+router.get("/", validate(schemas.download), (req, res, next) => {
+  const userId = req.user?.uid;
+  if (!userId) return next(unauthorized());
+
+  const formats = req.query.formats
+    ? [...new Set(req.query.formats.split(",").map((f) => f.trim()))]
+    : FORMATS;
+  console.log(`[export] GET / - userId=${userId} formats=${formats}`);
+  req.audit("data.export", { metadata: { formats } });
+
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const day = new Date().toISOString().slice(0, 10);
+
+  res.attachment(`mental-clarity-export-${day}.zip`);
+  res.type("application/zip");
+
+  archive.on("warning", (err) => console.warn("[export] archive warning", err));
+  archive.on("error", (err) => {
+    // Headers are already sent, so the only way to signal failure is to cut
+    // the download short
+    console.error(`[export] archive error userId=${userId}`, err);
+    res.destroy(err);
+  });
+  res.on("close", () => {
+    if (!res.writableFinished) archive.abort();
+  });
+
+  archive.pipe(res);
+
+  // Entries are appended up front but archiver reads them one after another,
+  // so each database cursor only opens when its file is being written.
+  if (formats.includes("json")) {
+    archive.append(streamOf(jsonBundle(userId)), { name: "export.json" });
+  }
+  if (formats.includes("csv")) {
+    for (const type of ENTRY_TYPES) {
+      archive.append(streamOf(csvRows(type, userId)), {
+        name: CSV_FILES[type],
+      });
+    }
+  }
+  if (formats.includes("markdown")) {
+    archive.append(streamOf(markdownDiary(userId)), { name: "diary.md" });
+  }
+
+  archive.finalize();
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require("express");
+const router = express.Router();
+const {
+  FORMATS,
+  detectFormat,
+  parseBundle,
+  runImport,
+} = require("../utils/importers");
+const { unauthorized, invalidField } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/import");
+const { entryQuotaCounter } = require("../utils/plans");
+const { requestTimeZone } = require("../utils/dates");
+
+// Import entries from an export bundle or another journaling app.
+// `?dryRun=true` returns the same per-record report without saving anything.
+router.post("/", validate(schemas.run), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+
+    const format = req.query.format || detectFormat(req.body);
+    const dryRun = req.query.dryRun === "true";
+    console.log(
+      `[import] POST / - userId=${userId} format=${format} dryRun=${dryRun}`
+    );
+
+    if (!FORMATS.includes(format)) {
+      throw invalidField(
+        "query.format",
+        `Import format could not be detected; pass format as one of: ${FORMATS.join(
+          ", "
+        )}`
+      );
+    }
+
+    let records;
+    try {
+      records = parseBundle(format, req.body);
+    } catch (error) {
+      throw invalidField("body", error.message);
+    }
+
+    const report = await runImport({
+      userId,
+      records,
+      format,
+      dryRun,
+      reserveEntry: entryQuotaCounter(
+        userId,
+        req.entitlements,
+        requestTimeZone(req)
+      ),
+    });
+    console.log(`[import] DONE userId=${userId}`, report.summary);
+    if (!dryRun) {
+      req.audit("data.import", {
+        metadata: { format, summary: report.summary },
+      });
+    }
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,179 +1,322 @@
 const express = require("express");
 const router = express.Router();
 const Journal = require("../models/Journal");
+const {
+  requireFeature,
+  enforceEntryQuota,
+} = require("../middleware/entitlements");
+const revisionRoutes = require("./revisions");
+const { parseAnalyticsQuery, runAnalytics } = require("../utils/analytics");
+const { parseListQuery, runListQuery } = require("../utils/listQuery");
+const { today, startOfWeek, requestTimeZone } = require("../utils/dates");
+const { MOODS } = require("../utils/mood");
+const { moodDistance } = require("../utils/sentiment");
+const { unauthorized, notFound, invalidField } = require("../utils/errors");
+const {
+  buildEntry,
+  applyEntryUpdate,
+  saveEntry,
+  findByClientId,
+} = require("../utils/entries");
+const { entryChanges, entryEvent } = require("../utils/audit");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/journal");
 
-// Get all journal entries for the authenticated user
-router.get("/", async (req, res) => {
+// Get journal entries for the authenticated user. Filters, sorting and
+// pagination are described in utils/listQuery.js.
+router.get("/", validate(schemas.list), async (req, res, next) => {
   try {
     const userId = req.user?.uid;
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-    const { date, limit = 50, page = 1 } = req.query;
+    if (!userId) throw unauthorized();
+    const { limit, page } = req.query;
     console.log(
-      `[journal] GET / - userId=${userId} date=${date} page=${page} limit=${limit}`
+      `[journal] GET / - userId=${userId} page=${page} limit=${limit}`
     );
 
-    const query = { userId };
-    if (date) {
-      query.date = date;
+    const options = parseListQuery("journal", req.query);
+    if (options.error) {
+      throw invalidField(`query.${options.field}`, options.error);
     }
 
-    const skip = (page - 1) * limit;
+    res.json(await runListQuery(Journal, { userId }, options));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const entries = await Journal.find(query)
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+// Get journal statistics for the authenticated user
+router.get("/stats", requireFeature("stats"), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    console.log(`[journal] GET /stats - userId=${userId}`);
+
+    // Entry dates are local days, so "this month" and "this week" are
+    // worked out in the user's time zone
+    const currentDay = today(requestTimeZone(req));
+    const weekStart = startOfWeek(
+      currentDay,
+      req.account?.preferences?.weekStart
+    );
 
-    const total = await Journal.countDocuments(query);
+    const totalEntries = await Journal.countDocuments({ userId });
+    const thisMonthEntries = await Journal.countDocuments({
+      userId,
+      date: { $gte: `${currentDay.slice(0, 7)}-01`, $lte: currentDay },
+    });
+    const thisWeekEntries = await Journal.countDocuments({
+      userId,
+      date: { $gte: weekStart, $lte: currentDay },
+    });
+
+    // Get mood distribution
+    const moodStats = await Journal.aggregate([
+      { $match: { userId } },
+      { $group: { _id: "$mood", count: { $sum: 1 } } },
+    ]);
 
     res.json({
-      entries,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalEntries: total,
-      },
+      totalEntries,
+      thisMonthEntries,
+      thisWeekEntries,
+      moodDistribution: moodStats.reduce((acc, stat) => {
+        acc[stat._id] = stat.count;
+        return acc;
+      }, {}),
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// How the mood users pick compares with the sentiment detected in what
+// they wrote. Entries saved before detection existed are left out until
+// `npm run backfill -- sentiment` has run.
+router.get(
+  "/sentiment-stats",
+  requireFeature("stats"),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      console.log(`[journal] GET /sentiment-stats - userId=${userId}`);
+
+      const groups = await Journal.aggregate([
+        { $match: { userId, "sentiment.suggestedMood": { $ne: null } } },
+        {
+          $group: {
+            _id: { mood: "$mood", suggestedMood: "$sentiment.suggestedMood" },
+            count: { $sum: 1 },
+            scoreTotal: { $sum: "$sentiment.score" },
+          },
+        },
+      ]);
+
+      const byMood = Object.fromEntries(
+        MOODS.map((mood) => [
+          mood,
+          {
+            entries: 0,
+            averageSentiment: null,
+            suggested: Object.fromEntries(MOODS.map((other) => [other, 0])),
+          },
+        ])
+      );
+      const scoreTotals = {};
+      let analyzed = 0;
+      let agreed = 0;
+      let withinOne = 0;
+
+      groups.forEach(({ _id, count, scoreTotal }) => {
+        const row = byMood[_id.mood];
+        if (!row || !(_id.suggestedMood in row.suggested)) return;
+        row.entries += count;
+        row.suggested[_id.suggestedMood] += count;
+        scoreTotals[_id.mood] = (scoreTotals[_id.mood] || 0) + scoreTotal;
+
+        const distance = moodDistance(_id.mood, _id.suggestedMood);
+        analyzed += count;
+        if (distance === 0) agreed += count;
+        if (distance <= 1) withinOne += count;
+      });
+
+      MOODS.forEach((mood) => {
+        const row = byMood[mood];
+        if (row.entries) {
+          row.averageSentiment = Number(
+            (scoreTotals[mood] / row.entries).toFixed(3)
+          );
+        }
+      });
+
+      const rate = (count, total) =>
+        total ? Number((count / total).toFixed(3)) : null;
+      const neutral = byMood.neutral;
+
+      res.json({
+        analyzedEntries: analyzed,
+        agreementRate: rate(agreed, analyzed),
+        withinOneStepRate: rate(withinOne, analyzed),
+        // Share of entries left at "neutral" whose text reads otherwise
+        neutralButNotNeutralRate: rate(
+          neutral.entries - neutral.suggested.neutral,
+          neutral.entries
+        ),
+        byMood,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Mood over time for charts: ?from&to&granularity=day|week|month
+// &window=<buckets for the moving average>&format=series|heatmap
+router.get(
+  "/analytics",
+  requireFeature("stats"),
+  validate(schemas.analytics),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      console.log(`[journal] GET /analytics - userId=${userId}`);
+
+      const options = parseAnalyticsQuery(req);
+      if (options.error) {
+        throw invalidField(`query.${options.field}`, options.error);
+      }
+
+      res.json(await runAnalytics("journal", userId, options));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Get journal entry by ID for the authenticated user
-router.get("/:id", async (req, res) => {
+router.get("/:id", validate(schemas.getEntry), async (req, res, next) => {
   try {
     const userId = req.user?.uid;
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!userId) throw unauthorized();
     const { id } = req.params;
     console.log(`[journal] GET /:id - userId=${userId} id=${id}`);
 
     const entry = await Journal.findOne({ _id: id, userId });
 
     if (!entry) {
-      return res.status(404).json({ error: "Journal entry not found" });
+      throw notFound("Journal entry not found");
     }
 
     res.json(entry);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Create new journal entry for the authenticated user
-router.post("/", async (req, res) => {
-  console.log(req.body);
-  try {
-    const userId = req.user?.uid;
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-    const { content, date, tags, mood } = req.body;
-    console.log(`[journal] POST / - userId=${userId} body=`, {
-      contentLength: content?.length,
-      date,
-      tagsCount: tags?.length,
-      mood,
-    });
+router.post(
+  "/",
+  validate(schemas.createEntry),
+  enforceEntryQuota,
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { content, date, tags, mood, clientId } = req.body;
+      console.log(`[journal] POST / - userId=${userId} body=`, {
+        contentLength: content?.length,
+        date,
+        tagsCount: tags?.length,
+        mood,
+        clientId,
+      });
 
-    if (!content || !date) {
-      return res.status(400).json({ error: "Content and date are required" });
-    }
+      // A retried create returns the entry the first attempt made
+      const existing =
+        clientId && (await findByClientId("journal", userId, clientId));
+      if (existing) return res.json(existing);
 
-    const entry = new Journal({
-      userId,
-      content,
-      date,
-      tags: tags || [],
-      mood: mood || "neutral",
-    });
-
-    const savedEntry = await entry.save();
-    console.log(
-      `[journal] CREATED _id=${savedEntry._id} userId=${userId} date=${savedEntry.date}`
-    );
-    return res.status(201).json(savedEntry);
-  } catch (error) {
-    console.error(`[journal] POST error`, error);
-    return res.status(500).json({ error: error.message });
+      const timeZone = requestTimeZone(req);
+      const entry = buildEntry("journal", userId, req.body, timeZone);
+      const savedEntry = await saveEntry("journal", entry, req.body, timeZone);
+      req.audit(
+        "entry.create",
+        entryEvent("journal", savedEntry, {
+          metadata: { date: savedEntry.date, clientId },
+        })
+      );
+      console.log(
+        `[journal] CREATED _id=${savedEntry._id} userId=${userId} date=${savedEntry.date}`
+      );
+      return res.status(201).json(savedEntry);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Update journal entry for the authenticated user
-router.put("/:id", async (req, res) => {
+router.put("/:id", validate(schemas.updateEntry), async (req, res, next) => {
   try {
     const userId = req.user?.uid;
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!userId) throw unauthorized();
     const { id } = req.params;
-    const { content, tags, mood } = req.body;
     console.log(`[journal] PUT /:id - userId=${userId} id=${id}`);
 
     const entry = await Journal.findOne({ _id: id, userId });
 
     if (!entry) {
-      return res.status(404).json({ error: "Journal entry not found" });
+      throw notFound("Journal entry not found");
     }
 
-    if (content) entry.content = content;
-    if (tags) entry.tags = tags;
-    if (mood) entry.mood = mood;
-
-    const updatedEntry = await entry.save();
+    applyEntryUpdate("journal", entry, req.body);
+    const changes = entryChanges("journal", entry);
+    const updatedEntry = await saveEntry(
+      "journal",
+      entry,
+      req.body,
+      requestTimeZone(req)
+    );
+    if (changes.length) {
+      req.audit(
+        "entry.update",
+        entryEvent("journal", updatedEntry, { changes })
+      );
+    }
     res.json(updatedEntry);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Delete journal entry for the authenticated user
-router.delete("/:id", async (req, res) => {
+// Move journal entry to the trash for the authenticated user
+router.delete("/:id", validate(schemas.deleteEntry), async (req, res, next) => {
   try {
     const userId = req.user?.uid;
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!userId) throw unauthorized();
     const { id } = req.params;
     console.log(`[journal] DELETE /:id - userId=${userId} id=${id}`);
 
     const entry = await Journal.findOne({ _id: id, userId });
 
     if (!entry) {
-      return res.status(404).json({ error: "Journal entry not found" });
+      throw notFound("Journal entry not found");
     }
 
-    await Journal.deleteOne({ _id: id, userId });
-    res.json({ message: "Journal entry deleted successfully" });
+    await entry.softDelete();
+    req.audit("entry.delete", entryEvent("journal", entry));
+    res.json({ message: "Journal entry moved to trash" });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Get journal statistics for the authenticated user
-router.get("/stats", async (req, res) => {
-  try {
-    const userId = req.user?.uid;
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-    console.log(`[journal] GET /stats - userId=${userId}`);
-
-    const totalEntries = await Journal.countDocuments({ userId });
-    const thisMonth = new Date().toISOString().slice(0, 7); // YYYY-MM format
-    const thisMonthEntries = await Journal.countDocuments({
-      userId,
-      date: { $regex: `^${thisMonth}` },
-    });
-
-    // Get mood distribution
-    const moodStats = await Journal.aggregate([
-      { $match: { userId } },
-      { $group: { _id: "$mood", count: { $sum: 1 } } },
-    ]);
-
-    res.json({
-      totalEntries,
-      thisMonthEntries,
-      moodDistribution: moodStats.reduce((acc, stat) => {
-        acc[stat._id] = stat.count;
-        return acc;
-      }, {}),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Revision history: list, view, diff and revert
+router.use(
+  "/:id/revisions",
+  validate(schemas.getEntry),
+  revisionRoutes("journal")
+);
 
 module.exports = router;
@@ -1,254 +1,467 @@
 const express = require("express");
 const router = express.Router();
 const Mistake = require("../models/Mistake");
+const {
+  requireFeature,
+  enforceEntryQuota,
+} = require("../middleware/entitlements");
+const revisionRoutes = require("./revisions");
+const { parseAnalyticsQuery, runAnalytics } = require("../utils/analytics");
+const { parseListQuery, runListQuery } = require("../utils/listQuery");
+const CheckIn = require("../models/CheckIn");
+const {
+  computeStreak,
+  buildCalendar,
+  streakInfoFor,
+  withStreakInfo,
+  recordCheckIn,
+  syncTodayCheckIn,
+} = require("../utils/streaks");
+const { today, requestTimeZone } = require("../utils/dates");
+const { unauthorized, notFound, invalidField } = require("../utils/errors");
+const {
+  buildEntry,
+  applyEntryUpdate,
+  saveEntry,
+  findByClientId,
+} = require("../utils/entries");
+const { entryChanges, entryEvent } = require("../utils/audit");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/mistakes");
 
 // Get all mistake entries for a user
-router.get("/:userId", async (req, res) => {
+router.get("/:userId", validate(schemas.list), async (req, res, next) => {
   try {
-    const { userId } = req.params;
-    const { date, category, limit = 50, page = 1 } = req.query;
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
 
-    const query = { userId };
-    if (date) {
-      query.date = date;
-    }
-    if (category) {
-      query.category = category;
+    const options = parseListQuery("mistake", req.query);
+    if (options.error) {
+      throw invalidField(`query.${options.field}`, options.error);
     }
 
-    const skip = (page - 1) * limit;
-
-    const entries = await Mistake.find(query)
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
-
-    const total = await Mistake.countDocuments(query);
-
+    const { entries, pagination } = await runListQuery(
+      Mistake,
+      { userId },
+      options
+    );
     res.json({
-      entries,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalEntries: total,
-      },
+      entries: await withStreakInfo(entries, requestTimeZone(req)),
+      pagination,
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// Get mistake statistics
+router.get(
+  "/:userId/stats",
+  requireFeature("stats"),
+  validate(schemas.user),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+
+      const totalEntries = await Mistake.countDocuments({ userId });
+      const avoidedEntries = await Mistake.countDocuments({
+        userId,
+        avoided: true,
+      });
+
+      // Get category distribution
+      const categoryStats = await Mistake.aggregate([
+        { $match: { userId } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]);
+
+      // Best streak across all mistakes, from their check-in history
+      const mistakes = await Mistake.find({ userId })
+        .select("_id legacyBestStreak")
+        .lean();
+      const avoidedDays = await CheckIn.find({
+        userId,
+        status: "avoided",
+        mistakeId: { $in: mistakes.map((mistake) => mistake._id) },
+      })
+        .select("mistakeId day status")
+        .lean();
+      const checkInsByMistake = avoidedDays.reduce((acc, checkIn) => {
+        const key = checkIn.mistakeId.toString();
+        (acc[key] = acc[key] || []).push(checkIn);
+        return acc;
+      }, {});
+      const currentDay = today(requestTimeZone(req));
+      const bestStreak = mistakes.reduce(
+        (best, mistake) =>
+          Math.max(
+            best,
+            mistake.legacyBestStreak || 0,
+            computeStreak(
+              checkInsByMistake[mistake._id.toString()] || [],
+              currentDay
+            ).bestStreak
+          ),
+        0
+      );
+
+      res.json({
+        totalEntries,
+        avoidedEntries,
+        avoidanceRate:
+          totalEntries > 0
+            ? ((avoidedEntries / totalEntries) * 100).toFixed(1)
+            : 0,
+        categoryDistribution: categoryStats.reduce((acc, stat) => {
+          acc[stat._id] = stat.count;
+          return acc;
+        }, {}),
+        bestStreak,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Avoided and repeated check-ins over time for charts: ?from&to&granularity=day|week|month
+// &window=<buckets for the moving average>&format=series|heatmap
+router.get(
+  "/:userId/analytics",
+  requireFeature("stats"),
+  validate(schemas.analytics),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      console.log(`[mistakes] GET /:userId/analytics - userId=${userId}`);
+
+      const options = parseAnalyticsQuery(req);
+      if (options.error) {
+        throw invalidField(`query.${options.field}`, options.error);
+      }
+
+      res.json(await runAnalytics("mistake", userId, options));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Get mistake entry by ID
-router.get("/:userId/:id", async (req, res) => {
+router.get("/:userId/:id", validate(schemas.entry), async (req, res, next) => {
   try {
-    const { userId, id } = req.params;
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { id } = req.params;
 
     const entry = await Mistake.findOne({ _id: id, userId });
 
     if (!entry) {
-      return res.status(404).json({ error: "Mistake entry not found" });
+      throw notFound("Mistake entry not found");
     }
 
-    res.json(entry);
+    res.json(await withStreakInfo(entry, requestTimeZone(req)));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Create new mistake entry
-router.post("/", async (req, res) => {
-  try {
-    const userId = req.user?.uid;
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-    const { mistake, solution, category, date, tags } = req.body;
-
-    if (!mistake || !solution || !date) {
-      return res
-        .status(400)
-        .json({ error: "Mistake, solution, and date are required" });
+router.post(
+  "/",
+  validate(schemas.createEntry),
+  enforceEntryQuota,
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { clientId } = req.body;
+      const timeZone = requestTimeZone(req);
+
+      // A retried create returns the entry the first attempt made
+      const existing =
+        clientId && (await findByClientId("mistake", userId, clientId));
+      if (existing) return res.json(await withStreakInfo(existing, timeZone));
+
+      // A missing category falls back to the schema default, "Other"
+      const entry = buildEntry("mistake", userId, req.body, timeZone);
+      const savedEntry = await saveEntry("mistake", entry, req.body, timeZone);
+      req.audit(
+        "entry.create",
+        entryEvent("mistake", savedEntry, {
+          metadata: { date: savedEntry.date, clientId },
+        })
+      );
+      res.status(201).json(await withStreakInfo(savedEntry, timeZone));
+    } catch (error) {
+      next(error);
     }
-
-    const entry = new Mistake({
-      userId,
-      mistake,
-      solution,
-      category: category || "other",
-      date,
-      tags: tags || [],
-    });
-
-    const savedEntry = await entry.save();
-    console.log("savedEntry-mistake-mistakes.js", savedEntry);
-    res.status(201).json(savedEntry);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
 // Update mistake entry
-router.put("/:userId/:id", async (req, res) => {
-  try {
-    const { userId, id } = req.params;
-    const { mistake, solution, category, avoided, tags } = req.body;
-
-    const entry = await Mistake.findOne({ _id: id, userId });
-
-    if (!entry) {
-      return res.status(404).json({ error: "Mistake entry not found" });
-    }
+router.put(
+  "/:userId/:id",
+  validate(schemas.updateEntry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { id } = req.params;
+
+      const entry = await Mistake.findOne({ _id: id, userId });
+
+      if (!entry) {
+        throw notFound("Mistake entry not found");
+      }
 
-    if (mistake) entry.mistake = mistake;
-    if (solution) entry.solution = solution;
-    if (category) entry.category = category;
-    if (avoided !== undefined) {
-      entry.avoided = avoided;
-
-      // Update streak info
-      if (avoided) {
-        const today = new Date().toISOString().split("T")[0];
-        const lastAvoidedDate = entry.streakInfo.lastAvoidedDate;
-
-        if (lastAvoidedDate) {
-          const lastDate = new Date(lastAvoidedDate);
-          const currentDate = new Date(today);
-          const daysDiff = Math.floor(
-            (currentDate - lastDate) / (1000 * 60 * 60 * 24)
-          );
-
-          if (daysDiff === 1) {
-            // Consecutive day
-            entry.streakInfo.currentStreak += 1;
-          } else {
-            // Not consecutive, reset streak
-            entry.streakInfo.currentStreak = 1;
-          }
-        } else {
-          // First time avoiding
-          entry.streakInfo.currentStreak = 1;
-        }
-
-        entry.streakInfo.lastAvoidedDate = today;
-
-        // Update best streak
-        if (entry.streakInfo.currentStreak > entry.streakInfo.bestStreak) {
-          entry.streakInfo.bestStreak = entry.streakInfo.currentStreak;
-        }
+      const timeZone = requestTimeZone(req);
+      applyEntryUpdate("mistake", entry, req.body);
+      const changes = entryChanges("mistake", entry);
+      const updatedEntry = await saveEntry(
+        "mistake",
+        entry,
+        req.body,
+        timeZone
+      );
+      if (changes.length) {
+        req.audit(
+          "entry.update",
+          entryEvent("mistake", updatedEntry, { changes })
+        );
       }
+      res.json(await withStreakInfo(updatedEntry, timeZone));
+    } catch (error) {
+      next(error);
     }
-    if (tags) entry.tags = tags;
-
-    const updatedEntry = await entry.save();
-    res.json(updatedEntry);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
-
-// Delete mistake entry
-router.delete("/:userId/:id", async (req, res) => {
-  try {
-    const { userId, id } = req.params;
-
-    const entry = await Mistake.findOne({ _id: id, userId });
+);
+
+// Move mistake entry to the trash
+router.delete(
+  "/:userId/:id",
+  validate(schemas.entry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { id } = req.params;
+
+      const entry = await Mistake.findOne({ _id: id, userId });
+
+      if (!entry) {
+        throw notFound("Mistake entry not found");
+      }
 
-    if (!entry) {
-      return res.status(404).json({ error: "Mistake entry not found" });
+      await entry.softDelete();
+      req.audit("entry.delete", entryEvent("mistake", entry));
+      res.json({ message: "Mistake entry moved to trash" });
+    } catch (error) {
+      next(error);
     }
-
-    await Mistake.deleteOne({ _id: id, userId });
-    res.json({ message: "Mistake entry deleted successfully" });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
 // Toggle avoided status
-router.patch("/:userId/:id/toggle-avoided", async (req, res) => {
-  try {
-    const { userId, id } = req.params;
-
-    const entry = await Mistake.findOne({ _id: id, userId });
+router.patch(
+  "/:userId/:id/toggle-avoided",
+  validate(schemas.entry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { id } = req.params;
+
+      const entry = await Mistake.findOne({ _id: id, userId });
+
+      if (!entry) {
+        throw notFound("Mistake entry not found");
+      }
 
-    if (!entry) {
-      return res.status(404).json({ error: "Mistake entry not found" });
+      entry.avoided = !entry.avoided;
+
+      const timeZone = requestTimeZone(req);
+      const updatedEntry = await entry.save();
+      await syncTodayCheckIn(updatedEntry, timeZone);
+      req.audit(
+        "entry.toggle_avoided",
+        entryEvent("mistake", updatedEntry, {
+          changes: [{ field: "avoided", to: updatedEntry.avoided }],
+        })
+      );
+      res.json(await withStreakInfo(updatedEntry, timeZone));
+    } catch (error) {
+      next(error);
     }
-
-    entry.avoided = !entry.avoided;
-
-    // Update streak info when marking as avoided
-    if (entry.avoided) {
-      const today = new Date().toISOString().split("T")[0];
-      const lastAvoidedDate = entry.streakInfo.lastAvoidedDate;
-
-      if (lastAvoidedDate) {
-        const lastDate = new Date(lastAvoidedDate);
-        const currentDate = new Date(today);
-        const daysDiff = Math.floor(
-          (currentDate - lastDate) / (1000 * 60 * 60 * 24)
-        );
-
-        if (daysDiff === 1) {
-          entry.streakInfo.currentStreak += 1;
-        } else {
-          entry.streakInfo.currentStreak = 1;
-        }
-      } else {
-        entry.streakInfo.currentStreak = 1;
+  }
+);
+
+// Daily check-in history, oldest first: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get(
+  "/:userId/:id/check-ins",
+  validate(schemas.listCheckIns),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { from, to } = req.query;
+
+      const entry = await Mistake.findOne({ _id: req.params.id, userId });
+      if (!entry) {
+        throw notFound("Mistake entry not found");
       }
 
-      entry.streakInfo.lastAvoidedDate = today;
-
-      if (entry.streakInfo.currentStreak > entry.streakInfo.bestStreak) {
-        entry.streakInfo.bestStreak = entry.streakInfo.currentStreak;
+      const query = { mistakeId: entry._id };
+      if (from || to) {
+        query.day = {};
+        if (from) query.day.$gte = from;
+        if (to) query.day.$lte = to;
       }
+      const checkIns = await CheckIn.find(query)
+        .sort({ day: 1 })
+        .select("day status updatedAt")
+        .lean();
+
+      res.json({ mistakeId: entry._id, checkIns });
+    } catch (error) {
+      next(error);
     }
-
-    const updatedEntry = await entry.save();
-    res.json(updatedEntry);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
+);
+
+// Record a day's outcome: { status: "avoided" | "repeated", day? }. The day
+// defaults to today in the user's time zone; past days can be filled in.
+router.post(
+  "/:userId/:id/check-ins",
+  validate(schemas.createCheckIn),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const timeZone = requestTimeZone(req);
+      const { status, day = today(timeZone) } = req.body;
+      console.log(
+        `[mistakes] POST /:userId/:id/check-ins - userId=${userId} day=${day} status=${status}`
+      );
+
+      if (day > today(timeZone)) {
+        throw invalidField("body.day", "Cannot check in for a future day");
+      }
 
-// Get mistake statistics
-router.get("/:userId/stats", async (req, res) => {
-  try {
-    const { userId } = req.params;
+      const entry = await Mistake.findOne({ _id: req.params.id, userId });
+      if (!entry) {
+        throw notFound("Mistake entry not found");
+      }
 
-    const totalEntries = await Mistake.countDocuments({ userId });
-    const avoidedEntries = await Mistake.countDocuments({
-      userId,
-      avoided: true,
-    });
+      const checkIn = await recordCheckIn(entry, day, status);
+      req.audit(
+        "checkin.record",
+        entryEvent("mistake", entry, { metadata: { day, status } })
+      );
+      res.status(201).json({
+        checkIn,
+        streakInfo: (await withStreakInfo(entry, timeZone)).streakInfo,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a day's check-in, leaving the day blank
+router.delete(
+  "/:userId/:id/check-ins/:day",
+  validate(schemas.deleteCheckIn),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { id, day } = req.params;
+
+      const entry = await Mistake.findOne({ _id: id, userId });
+      if (!entry) {
+        throw notFound("Mistake entry not found");
+      }
 
-    // Get category distribution
-    const categoryStats = await Mistake.aggregate([
-      { $match: { userId } },
-      { $group: { _id: "$category", count: { $sum: 1 } } },
-    ]);
+      const result = await CheckIn.deleteOne({ mistakeId: entry._id, day });
+      if (!result.deletedCount) {
+        throw notFound("Check-in not found");
+      }
+      req.audit(
+        "checkin.delete",
+        entryEvent("mistake", entry, { metadata: { day } })
+      );
+
+      res.json({
+        message: "Check-in removed",
+        streakInfo: (await withStreakInfo(entry, requestTimeZone(req)))
+          .streakInfo,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Current and best streak in the user's time zone
+router.get(
+  "/:userId/:id/streak",
+  validate(schemas.entry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+
+      const entry = await Mistake.findOne({ _id: req.params.id, userId });
+      if (!entry) {
+        throw notFound("Mistake entry not found");
+      }
 
-    // Get best streak across all mistakes
-    const bestStreakStats = await Mistake.aggregate([
-      { $match: { userId } },
-      { $group: { _id: null, bestStreak: { $max: "$streakInfo.bestStreak" } } },
-    ]);
+      const checkIns = await CheckIn.find({ mistakeId: entry._id })
+        .select("day status")
+        .lean();
+      res.json(streakInfoFor(entry, checkIns, requestTimeZone(req)));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// One month of check-ins: ?month=YYYY-MM, defaulting to the current month
+router.get(
+  "/:userId/:id/calendar",
+  validate(schemas.calendar),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const month = req.query.month || today(requestTimeZone(req)).slice(0, 7);
+
+      const entry = await Mistake.findOne({ _id: req.params.id, userId });
+      if (!entry) {
+        throw notFound("Mistake entry not found");
+      }
 
-    res.json({
-      totalEntries,
-      avoidedEntries,
-      avoidanceRate:
-        totalEntries > 0
-          ? ((avoidedEntries / totalEntries) * 100).toFixed(1)
-          : 0,
-      categoryDistribution: categoryStats.reduce((acc, stat) => {
-        acc[stat._id] = stat.count;
-        return acc;
-      }, {}),
-      bestStreak: bestStreakStats[0]?.bestStreak || 0,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+      const checkIns = await CheckIn.find({
+        mistakeId: entry._id,
+        day: { $gte: `${month}-01`, $lte: `${month}-31` },
+      })
+        .select("day status")
+        .lean();
+      res.json({ mistakeId: entry._id, ...buildCalendar(checkIns, month) });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+// Revision history: list, view, diff and revert
+router.use(
+  "/:userId/:id/revisions",
+  validate(schemas.entry),
+  revisionRoutes("mistake")
+);
 
 module.exports = router;
@@ -1,202 +1,565 @@
 const express = require("express");
 const router = express.Router();
 const Overthinking = require("../models/Overthinking");
+const {
+  requireFeature,
+  enforceEntryQuota,
+} = require("../middleware/entitlements");
+const revisionRoutes = require("./revisions");
+const {
+  worrySettings,
+  resolveReviewTime,
+  isClosed,
+  applyReview,
+  intensityHistory,
+} = require("../utils/worryTime");
+const {
+  parseOutcome,
+  recordOutcome,
+  outcomeStats,
+} = require("../utils/worryOutcomes");
+const { parseAnalyticsQuery, runAnalytics } = require("../utils/analytics");
+const { parseListQuery, runListQuery } = require("../utils/listQuery");
+const { DISTORTIONS, withDistortionDetails } = require("../utils/distortions");
+const { requestTimeZone } = require("../utils/dates");
+const {
+  unauthorized,
+  notFound,
+  conflict,
+  invalidField,
+} = require("../utils/errors");
+const {
+  buildEntry,
+  applyEntryUpdate,
+  dumpThought,
+  saveEntry,
+  findByClientId,
+} = require("../utils/entries");
+const { entryChanges, entryEvent } = require("../utils/audit");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/overthinking");
 
 // Get all overthinking entries for a user
-router.get("/:userId", async (req, res) => {
+router.get("/:userId", validate(schemas.list), async (req, res, next) => {
   try {
-    const { userId } = req.params;
-    const { date, category, limit = 50, page = 1 } = req.query;
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
 
-    const query = { userId };
-    if (date) {
-      query.date = date;
-    }
-    if (category) {
-      query.category = category;
+    const options = parseListQuery("overthinking", req.query);
+    if (options.error) {
+      throw invalidField(`query.${options.field}`, options.error);
     }
 
-    const skip = (page - 1) * limit;
-
-    const entries = await Overthinking.find(query)
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
-
-    const total = await Overthinking.countDocuments(query);
-
-    res.json({
-      entries,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalEntries: total,
-      },
-    });
+    const { entries, pagination } = await runListQuery(
+      Overthinking,
+      { userId },
+      options
+    );
+    res.json({ entries: entries.map(withDistortionDetails), pagination });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// Get overthinking statistics
+router.get(
+  "/:userId/stats",
+  requireFeature("stats"),
+  validate(schemas.user),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+
+      const totalEntries = await Overthinking.countDocuments({ userId });
+      const dumpedEntries = await Overthinking.countDocuments({
+        userId,
+        dumped: true,
+      });
+
+      // Get category distribution
+      const categoryStats = await Overthinking.aggregate([
+        { $match: { userId } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]);
+
+      // Get average intensity
+      const intensityStats = await Overthinking.aggregate([
+        { $match: { userId } },
+        { $group: { _id: null, avgIntensity: { $avg: "$intensity" } } },
+      ]);
+
+      // Entries with each distortion and how often it matched in total
+      const distortionStats = await Overthinking.aggregate([
+        { $match: { userId } },
+        { $unwind: "$distortions" },
+        {
+          $group: {
+            _id: "$distortions.type",
+            entries: { $sum: 1 },
+            matches: { $sum: "$distortions.matchCount" },
+          },
+        },
+      ]);
+
+      res.json({
+        totalEntries,
+        dumpedEntries,
+        releaseRate:
+          totalEntries > 0
+            ? ((dumpedEntries / totalEntries) * 100).toFixed(1)
+            : 0,
+        categoryDistribution: categoryStats.reduce((acc, stat) => {
+          acc[stat._id] = stat.count;
+          return acc;
+        }, {}),
+        averageIntensity: intensityStats[0]?.avgIntensity?.toFixed(1) || 0,
+        distortionDistribution: distortionStats.reduce((acc, stat) => {
+          acc[stat._id] = {
+            label: DISTORTIONS[stat._id]?.label,
+            entries: stat.entries,
+            matches: stat.matches,
+          };
+          return acc;
+        }, {}),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Intensity and thought count over time for charts: ?from&to&granularity=day|week|month
+// &window=<buckets for the moving average>&format=series|heatmap
+router.get(
+  "/:userId/analytics",
+  requireFeature("stats"),
+  validate(schemas.analytics),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      console.log(`[overthinking] GET /:userId/analytics - userId=${userId}`);
+
+      const options = parseAnalyticsQuery(req);
+      if (options.error) {
+        throw invalidField(`query.${options.field}`, options.error);
+      }
+
+      res.json(await runAnalytics("overthinking", userId, options));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// How often worries came true and how bad they really were, overall and
+// per category
+router.get(
+  "/:userId/outcome-stats",
+  requireFeature("stats"),
+  validate(schemas.user),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      console.log(
+        `[overthinking] GET /:userId/outcome-stats - userId=${userId}`
+      );
+
+      res.json(await outcomeStats(userId));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Thoughts whose worry time has come, oldest first, plus when the next one
+// is due
+router.get(
+  "/:userId/review-queue",
+  validate(schemas.user),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      console.log(
+        `[overthinking] GET /:userId/review-queue - userId=${userId}`
+      );
+
+      const now = new Date();
+      const open = { userId, dumped: false, resolvedAt: null };
+      const [due, upcomingCount, next] = await Promise.all([
+        Overthinking.find({ ...open, nextReviewAt: { $lte: now } }).sort({
+          nextReviewAt: 1,
+        }),
+        Overthinking.countDocuments({ ...open, nextReviewAt: { $gt: now } }),
+        Overthinking.findOne({ ...open, nextReviewAt: { $gt: now } })
+          .sort({ nextReviewAt: 1 })
+          .select("nextReviewAt userId"),
+      ]);
+
+      res.json({
+        due,
+        dueCount: due.length,
+        upcomingCount,
+        nextReviewAt: next?.nextReviewAt || null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Get overthinking entry by ID
-router.get("/:userId/:id", async (req, res) => {
+router.get("/:userId/:id", validate(schemas.entry), async (req, res, next) => {
   try {
-    const { userId, id } = req.params;
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { id } = req.params;
 
     const entry = await Overthinking.findOne({ _id: id, userId });
 
     if (!entry) {
-      return res.status(404).json({ error: "Overthinking entry not found" });
+      throw notFound("Overthinking entry not found");
     }
 
-    res.json(entry);
+    res.json(withDistortionDetails(entry));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Create new overthinking entry
-router.post("/", async (req, res) => {
-  console.log("-post overthinking", req.body);
-  try {
-    const userId = req.user?.uid;
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const { thought, solution, date, category, intensity, tags } = req.body;
-
-    console.log(`[overthinking] POST / - api/overthinking`, {
-      thought: thought?.length,
-      solution,
-      date,
-      category,
-      intensity,
-      tagsCount: tags?.length,
-    });
-
-    if (!thought || !date) {
-      return res.status(400).json({ error: "Thought and date are required" });
+router.post(
+  "/",
+  validate(schemas.createEntry),
+  enforceEntryQuota,
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+
+      const { thought, solution, date, category, intensity, tags, clientId } =
+        req.body;
+
+      console.log(`[overthinking] POST / - api/overthinking`, {
+        thought: thought?.length,
+        solution,
+        date,
+        category,
+        intensity,
+        tagsCount: tags?.length,
+        clientId,
+      });
+
+      // A retried create returns the entry the first attempt made
+      const existing =
+        clientId && (await findByClientId("overthinking", userId, clientId));
+      if (existing) return res.json(withDistortionDetails(existing));
+
+      const timeZone = requestTimeZone(req);
+      const entry = buildEntry("overthinking", userId, req.body, timeZone);
+      const savedEntry = await saveEntry(
+        "overthinking",
+        entry,
+        req.body,
+        timeZone
+      );
+      req.audit(
+        "entry.create",
+        entryEvent("overthinking", savedEntry, {
+          metadata: { date: savedEntry.date, clientId },
+        })
+      );
+      return res.status(201).json(withDistortionDetails(savedEntry));
+    } catch (error) {
+      next(error);
     }
-
-    const entry = new Overthinking({
-      userId,
-      thought,
-      solution: solution || "",
-      date,
-      category: category || "other",
-      intensity: intensity || 5,
-      tags: tags || [],
-    });
-
-    const savedEntry = await entry.save();
-    return res.status(201).json(savedEntry);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
 // Update overthinking entry
-router.put("/:userId/:id", async (req, res) => {
-  try {
-    const { userId, id } = req.params;
-    const { thought, solution, category, intensity, dumped, tags } = req.body;
-
-    const entry = await Overthinking.findOne({ _id: id, userId });
-
-    if (!entry) {
-      return res.status(404).json({ error: "Overthinking entry not found" });
+router.put(
+  "/:userId/:id",
+  validate(schemas.updateEntry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { id } = req.params;
+
+      const entry = await Overthinking.findOne({ _id: id, userId });
+
+      if (!entry) {
+        throw notFound("Overthinking entry not found");
+      }
+
+      applyEntryUpdate("overthinking", entry, req.body);
+      const changes = entryChanges("overthinking", entry);
+      const updatedEntry = await saveEntry(
+        "overthinking",
+        entry,
+        req.body,
+        requestTimeZone(req)
+      );
+      if (changes.length) {
+        req.audit(
+          "entry.update",
+          entryEvent("overthinking", updatedEntry, { changes })
+        );
+      }
+      res.json(withDistortionDetails(updatedEntry));
+    } catch (error) {
+      next(error);
     }
-
-    if (thought) entry.thought = thought;
-    if (solution !== undefined) entry.solution = solution;
-    if (category) entry.category = category;
-    if (intensity) entry.intensity = intensity;
-    if (dumped !== undefined) entry.dumped = dumped;
-    if (tags) entry.tags = tags;
-
-    const updatedEntry = await entry.save();
-    res.json(updatedEntry);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
-
-// Delete overthinking entry
-router.delete("/:userId/:id", async (req, res) => {
-  try {
-    const { userId, id } = req.params;
-
-    const entry = await Overthinking.findOne({ _id: id, userId });
-
-    if (!entry) {
-      return res.status(404).json({ error: "Overthinking entry not found" });
+);
+
+// Move overthinking entry to the trash
+router.delete(
+  "/:userId/:id",
+  validate(schemas.entry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { id } = req.params;
+
+      const entry = await Overthinking.findOne({ _id: id, userId });
+
+      if (!entry) {
+        throw notFound("Overthinking entry not found");
+      }
+
+      await entry.softDelete();
+      req.audit("entry.delete", entryEvent("overthinking", entry));
+      res.json({ message: "Overthinking entry moved to trash" });
+    } catch (error) {
+      next(error);
     }
-
-    await Overthinking.deleteOne({ _id: id, userId });
-    res.json({ message: "Overthinking entry deleted successfully" });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
 // Dump a thought (mark as released)
-router.patch("/:userId/:id/dump", async (req, res) => {
-  try {
-    const { userId, id } = req.params;
-
-    const entry = await Overthinking.findOne({ _id: id, userId });
-
-    if (!entry) {
-      return res.status(404).json({ error: "Overthinking entry not found" });
+router.patch(
+  "/:userId/:id/dump",
+  validate(schemas.entry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { id } = req.params;
+
+      const entry = await Overthinking.findOne({ _id: id, userId });
+
+      if (!entry) {
+        throw notFound("Overthinking entry not found");
+      }
+
+      const updatedEntry = await dumpThought(entry).save();
+      req.audit("entry.dump", entryEvent("overthinking", updatedEntry));
+
+      res.json(updatedEntry);
+    } catch (error) {
+      next(error);
     }
-
-    entry.dumped = true;
-    const updatedEntry = await entry.save();
-
-    res.json(updatedEntry);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
-
-// Get overthinking statistics
-router.get("/:userId/stats", async (req, res) => {
-  try {
-    const { userId } = req.params;
-
-    const totalEntries = await Overthinking.countDocuments({ userId });
-    const dumpedEntries = await Overthinking.countDocuments({
-      userId,
-      dumped: true,
-    });
-
-    // Get category distribution
-    const categoryStats = await Overthinking.aggregate([
-      { $match: { userId } },
-      { $group: { _id: "$category", count: { $sum: 1 } } },
-    ]);
-
-    // Get average intensity
-    const intensityStats = await Overthinking.aggregate([
-      { $match: { userId } },
-      { $group: { _id: null, avgIntensity: { $avg: "$intensity" } } },
-    ]);
-
-    res.json({
-      totalEntries,
-      dumpedEntries,
-      releaseRate:
-        totalEntries > 0
-          ? ((dumpedEntries / totalEntries) * 100).toFixed(1)
-          : 0,
-      categoryDistribution: categoryStats.reduce((acc, stat) => {
-        acc[stat._id] = stat.count;
-        return acc;
-      }, {}),
-      averageIntensity: intensityStats[0]?.avgIntensity?.toFixed(1) || 0,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+);
+
+// Put a thought off until worry time: { at } for an exact time, { day } for
+// that day's worry time, or nothing for the next slot
+router.post(
+  "/:userId/:id/postpone",
+  validate(schemas.postpone),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      console.log(
+        `[overthinking] POST /:userId/:id/postpone - userId=${userId} id=${req.params.id}`
+      );
+
+      const reviewTime = resolveReviewTime(req.body, worrySettings(req));
+      if (reviewTime.error) {
+        throw invalidField(`body.${reviewTime.field}`, reviewTime.error);
+      }
+
+      const entry = await Overthinking.findOne({ _id: req.params.id, userId });
+      if (!entry) {
+        throw notFound("Overthinking entry not found");
+      }
+      if (isClosed(entry)) {
+        throw conflict("Thought is already dumped or resolved");
+      }
+
+      entry.nextReviewAt = reviewTime.date;
+      const updatedEntry = await entry.save();
+      req.audit(
+        "entry.postpone",
+        entryEvent("overthinking", updatedEntry, {
+          changes: [{ field: "nextReviewAt", to: updatedEntry.nextReviewAt }],
+        })
+      );
+      res.json(updatedEntry);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+// Review a thought at worry time: { outcome, intensity, at?, day? }.
+// rescheduled and still_worrying put it back in the queue (at the next slot
+// unless at/day say otherwise).
+router.post(
+  "/:userId/:id/reviews",
+  validate(schemas.review),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { outcome, intensity, at, day } = req.body;
+      console.log(
+        `[overthinking] POST /:userId/:id/reviews - userId=${userId} id=${req.params.id} outcome=${outcome}`
+      );
+
+      let nextReviewAt = null;
+      if (outcome === "rescheduled" || outcome === "still_worrying") {
+        const reviewTime = resolveReviewTime({ at, day }, worrySettings(req));
+        if (reviewTime.error) {
+          throw invalidField(`body.${reviewTime.field}`, reviewTime.error);
+        }
+        nextReviewAt = reviewTime.date;
+      }
+
+      const entry = await Overthinking.findOne({ _id: req.params.id, userId });
+      if (!entry) {
+        throw notFound("Overthinking entry not found");
+      }
+      if (isClosed(entry)) {
+        throw conflict("Thought is already dumped or resolved");
+      }
+
+      applyReview(entry, { outcome, intensity, nextReviewAt });
+      const updatedEntry = await entry.save();
+      req.audit(
+        "entry.review",
+        entryEvent("overthinking", updatedEntry, {
+          metadata: { outcome, intensity },
+        })
+      );
+      res.status(201).json({
+        entry: updatedEntry,
+        intensity: intensityHistory(updatedEntry),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Review history of a thought and how its intensity changed
+router.get(
+  "/:userId/:id/reviews",
+  validate(schemas.entry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+
+      const entry = await Overthinking.findOne({ _id: req.params.id, userId });
+      if (!entry) {
+        throw notFound("Overthinking entry not found");
+      }
+
+      res.json({
+        entryId: entry._id,
+        nextReviewAt: entry.nextReviewAt,
+        resolvedAt: entry.resolvedAt,
+        dumped: entry.dumped,
+        reviews: entry.reviews,
+        intensity: intensityHistory(entry),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Record what actually happened: { happened: "no" | "partly" | "yes",
+// actualSeverity, notes }. Recording again replaces the earlier outcome.
+router.put(
+  "/:userId/:id/outcome",
+  validate(schemas.outcome),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      console.log(
+        `[overthinking] PUT /:userId/:id/outcome - userId=${userId} id=${req.params.id}`
+      );
+
+      const parsed = parseOutcome(req.body);
+      if (parsed.error) {
+        throw invalidField(`body.${parsed.field}`, parsed.error);
+      }
+
+      const entry = await Overthinking.findOne({ _id: req.params.id, userId });
+      if (!entry) {
+        throw notFound("Overthinking entry not found");
+      }
+
+      recordOutcome(entry, parsed.outcome);
+      const updatedEntry = await entry.save();
+      // Notes are entry text, so only the rating is logged
+      req.audit(
+        "entry.outcome_record",
+        entryEvent("overthinking", updatedEntry, {
+          metadata: {
+            happened: updatedEntry.outcome.happened,
+            actualSeverity: updatedEntry.outcome.actualSeverity,
+          },
+        })
+      );
+      res.json(updatedEntry);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a recorded outcome
+router.delete(
+  "/:userId/:id/outcome",
+  validate(schemas.entry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+
+      const entry = await Overthinking.findOne({ _id: req.params.id, userId });
+      if (!entry || !entry.outcome?.recordedAt) {
+        throw notFound("Outcome not found");
+      }
+
+      entry.outcome = undefined;
+      const updatedEntry = await entry.save();
+      req.audit(
+        "entry.outcome_delete",
+        entryEvent("overthinking", updatedEntry)
+      );
+      res.json(updatedEntry);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Revision history: list, view, diff and revert
+router.use(
+  "/:userId/:id/revisions",
+  validate(schemas.entry),
+  revisionRoutes("overthinking")
+);
 
 module.exports = router;
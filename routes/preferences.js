@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const { preferenceUpdates, preferencesOf } = require("../utils/preferences");
+const { today } = require("../utils/dates");
+const { preferenceChanges } = require("../utils/audit");
+const { unauthorized, validationError } = require("../utils/errors");
+
+// Preferences for the authenticated user, with today's date in their time
+// zone so clients can check what the server considers "today"
+router.get("/", async (req, res, next) => {
+  try {
+    const preferences = preferencesOf(req.account);
+    res.json({ preferences, today: today(preferences.timezone) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update some preferences; anything not sent is left as it is
+router.patch("/", async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    console.log(
+      `[preferences] PATCH / - userId=${userId} keys=${Object.keys(
+        req.body || {}
+      ).join(",")}`
+    );
+
+    const { updates, errors } = preferenceUpdates(req.body);
+    if (errors.length) {
+      throw validationError(
+        errors.length === 1 ? errors[0] : "Validation failed",
+        errors.map((message) => ({ field: "body", message }))
+      );
+    }
+
+    req.account.set(updates);
+    await req.account.save();
+    req.audit("preferences.update", { changes: preferenceChanges(updates) });
+
+    const preferences = preferencesOf(req.account);
+    res.json({ preferences, today: today(preferences.timezone) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
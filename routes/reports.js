@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const { reportPeriod, buildReport } = require("../utils/reports");
+const { renderMarkdown, renderHtml } = require("../utils/reportDigest");
+const { today, requestTimeZone } = require("../utils/dates");
+const { unauthorized } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/reports");
+
+// Insight report for the week or month containing ?date (default today):
+// ?period=week|month&format=json|markdown|html
+router.get("/", validate(schemas.report), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const {
+      period = "week",
+      format = "json",
+      date = today(requestTimeZone(req)),
+    } = req.query;
+    console.log(
+      `[reports] GET / - userId=${userId} period=${period} date=${date} format=${format}`
+    );
+
+    const preferences = req.account?.preferences || {};
+    const report = await buildReport(
+      userId,
+      reportPeriod(period, date, preferences.weekStart)
+    );
+    const options = { locale: preferences.locale };
+
+    if (format === "markdown") {
+      return res
+        .type("text/markdown; charset=utf-8")
+        .send(renderMarkdown(report, options));
+    }
+    if (format === "html") {
+      return res.type("html").send(renderHtml(report, options));
+    }
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
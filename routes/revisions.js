@@ -0,0 +1,150 @@
+const express = require("express");
+const Revision = require("../models/Revision");
+const { ENTRY_MODELS } = require("../models/entryModels");
+const { snapshotOf, diffSnapshots } = require("../utils/revisions");
+const { entryChanges, entryEvent } = require("../utils/audit");
+const { notFound } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/revisions");
+
+const CURRENT = "current";
+
+// Revision history routes for one entry type. Mounted by each entry router
+// under "<entry path>/revisions", so `req.params.id` is the entry id.
+const revisionRoutes = (type) => {
+  const router = express.Router({ mergeParams: true });
+  const Model = ENTRY_MODELS[type];
+  const label = `${type[0].toUpperCase()}${type.slice(1)}`;
+
+  const findEntry = async (req) => {
+    const entry = await Model.findOne({
+      _id: req.params.id,
+      userId: req.user.uid,
+    });
+    if (!entry) throw notFound(`${label} entry not found`);
+    return entry;
+  };
+
+  // Resolves "current" or a version number (checked by validators/revisions)
+  // to { version, savedAt, snapshot }; throws when there is no such version
+  const loadVersion = async (entry, version) => {
+    if (version === CURRENT) {
+      return {
+        version: CURRENT,
+        savedAt: entry.updatedAt,
+        snapshot: snapshotOf(type, entry),
+      };
+    }
+    const revision = await Revision.findOne({
+      entryId: entry._id,
+      version: Number(version),
+    }).lean();
+    if (!revision) throw notFound("Revision not found");
+    return {
+      version: revision.version,
+      savedAt: revision.savedAt,
+      snapshot: revision.snapshot,
+    };
+  };
+
+  // List the stored versions of an entry, newest first
+  router.get("/", async (req, res, next) => {
+    try {
+      const entry = await findEntry(req);
+      console.log(`[revisions] GET / - type=${type} id=${entry._id}`);
+
+      const revisions = await Revision.find({ entryId: entry._id })
+        .sort({ version: -1 })
+        .select("version savedAt createdAt")
+        .lean();
+
+      res.json({
+        entryId: entry._id,
+        current: { version: CURRENT, savedAt: entry.updatedAt },
+        revisions: revisions.map((revision) => ({
+          version: revision.version,
+          savedAt: revision.savedAt,
+          replacedAt: revision.createdAt,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Compare two versions: ?from=<version>&to=<version|current>
+  router.get("/diff", validate(schemas.diff), async (req, res, next) => {
+    try {
+      const { from, to = CURRENT, granularity = "word" } = req.query;
+
+      const entry = await findEntry(req);
+
+      const [before, after] = await Promise.all([
+        loadVersion(entry, from),
+        loadVersion(entry, to),
+      ]);
+
+      res.json({
+        from: { version: before.version, savedAt: before.savedAt },
+        to: { version: after.version, savedAt: after.savedAt },
+        changes: diffSnapshots(
+          type,
+          before.snapshot,
+          after.snapshot,
+          granularity
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // View a single version
+  router.get(
+    "/:version",
+    validate(schemas.getVersion),
+    async (req, res, next) => {
+      try {
+        const entry = await findEntry(req);
+        res.json(await loadVersion(entry, req.params.version));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Restore an earlier version. The version being replaced is kept in the
+  // history like any other edit, so a revert can itself be undone.
+  router.post(
+    "/:version/revert",
+    validate(schemas.revert),
+    async (req, res, next) => {
+      try {
+        const entry = await findEntry(req);
+        console.log(
+          `[revisions] POST /:version/revert - type=${type} id=${entry._id} version=${req.params.version}`
+        );
+
+        const version = await loadVersion(entry, req.params.version);
+
+        entry.set(snapshotOf(type, version.snapshot));
+        const changes = entryChanges(type, entry);
+        const updatedEntry = await entry.save();
+        req.audit(
+          "entry.revert",
+          entryEvent(type, updatedEntry, {
+            changes,
+            metadata: { version: version.version },
+          })
+        );
+        res.json(updatedEntry);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = revisionRoutes;
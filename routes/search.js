@@ -0,0 +1,157 @@
+const express = require("express");
+const router = express.Router();
+const { ENTRY_MODELS, ENTRY_TYPES } = require("../models/entryModels");
+const { queryTerms, highlightSnippet } = require("../utils/text");
+const {
+  isEncryptionEnabled,
+  blindIndexTokens,
+} = require("../utils/fieldEncryption");
+const { unauthorized } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/search");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// Most recent matches per type that blind index results are ranked from
+const BLIND_INDEX_CANDIDATES = 200;
+
+// Text fields covered by each model's text index, in highlight order
+const SEARCH_FIELDS = {
+  journal: ["content"],
+  overthinking: ["thought", "solution"],
+  mistake: ["mistake", "solution"],
+};
+
+// Filters that only exist on some entry types
+const TYPE_FILTERS = {
+  mood: ["journal"],
+  category: ["overthinking", "mistake"],
+};
+
+const splitList = (value) =>
+  value
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
+const fullTextSearch = (Model, filter, search, limit) =>
+  Model.find(
+    { ...filter, $text: { $search: search } },
+    { score: { $meta: "textScore" } }
+  )
+    .sort({ score: { $meta: "textScore" } })
+    .limit(limit)
+    .lean();
+
+// Once entries are encrypted the text index only sees ciphertext, so search
+// degrades to the blind index: whole words only (no stemming, phrases or
+// negation), scored by the share of query words an entry contains.
+const blindIndexSearch = async (Model, filter, tokens, limit) => {
+  const docs = await Model.find({ ...filter, searchTokens: { $in: tokens } })
+    .select("+searchTokens")
+    .sort({ createdAt: -1 })
+    .limit(BLIND_INDEX_CANDIDATES)
+    .lean();
+  return docs
+    .map(({ searchTokens, ...doc }) => ({
+      ...doc,
+      score:
+        searchTokens.filter((token) => tokens.includes(token)).length /
+        tokens.length,
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Search the authenticated user's entries across all modules
+router.get("/", validate(schemas.search), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { q, types, tags, mood, category, from, to, limit } = req.query;
+    console.log(
+      `[search] GET / - userId=${userId} qLength=${q?.length} types=${types}`
+    );
+
+    const search = q.trim();
+    const requestedTypes = splitList(types);
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+
+    // A mood filter can only match journal entries, a category filter only
+    // overthinking and mistake entries.
+    let selectedTypes = requestedTypes.length ? requestedTypes : ENTRY_TYPES;
+    if (mood) {
+      selectedTypes = selectedTypes.filter((t) => TYPE_FILTERS.mood.includes(t));
+    }
+    if (category) {
+      selectedTypes = selectedTypes.filter((t) =>
+        TYPE_FILTERS.category.includes(t)
+      );
+    }
+
+    const filter = { userId };
+    const tagList = splitList(tags).map((tag) => tag.toLowerCase());
+    if (tagList.length) filter.tags = { $all: tagList };
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = from;
+      if (to) filter.date.$lte = to;
+    }
+
+    const terms = queryTerms(search);
+    const mode = isEncryptionEnabled() ? "blind_index" : "full_text";
+    const tokens =
+      mode === "blind_index" ? await blindIndexTokens(userId, terms) : [];
+
+    const results = await Promise.all(
+      selectedTypes.map(async (type) => {
+        const typeFilter = { ...filter };
+        if (mood) typeFilter.mood = mood;
+        if (category) typeFilter.category = category;
+
+        let docs = [];
+        if (mode === "full_text") {
+          docs = await fullTextSearch(
+            ENTRY_MODELS[type],
+            typeFilter,
+            search,
+            pageSize
+          );
+        } else if (tokens.length) {
+          docs = await blindIndexSearch(
+            ENTRY_MODELS[type],
+            typeFilter,
+            tokens,
+            pageSize
+          );
+        }
+        return docs.map((doc) => ({ ...doc, type }));
+      })
+    );
+
+    const ranked = results
+      .flat()
+      .sort((a, b) => b.score - a.score)
+      .slice(0, pageSize)
+      .map((entry) => {
+        const highlights = {};
+        for (const field of SEARCH_FIELDS[entry.type]) {
+          const snippet = highlightSnippet(entry[field], terms);
+          if (snippet) highlights[field] = snippet;
+        }
+        return { ...entry, highlights };
+      });
+
+    res.json({ query: search, mode, results: ranked, count: ranked.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
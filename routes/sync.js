@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+const {
+  DEFAULT_PULL_LIMIT,
+  decodeCheckpoint,
+  pullChanges,
+  pushChanges,
+} = require("../utils/sync");
+const { requestTimeZone } = require("../utils/dates");
+const { invalidField } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/sync");
+
+// Everything changed since ?checkpoint (or everything, without one):
+// { changes, deleted, preferences, checkpoint, hasMore, fullResync }
+router.get("/pull", validate(schemas.pull), async (req, res, next) => {
+  try {
+    const { checkpoint, limit = DEFAULT_PULL_LIMIT } = req.query;
+    console.log(
+      `[sync] GET /pull - userId=${req.user.uid} checkpoint=${Boolean(
+        checkpoint
+      )}`
+    );
+
+    if (checkpoint && !decodeCheckpoint(checkpoint)) {
+      throw invalidField(
+        "query.checkpoint",
+        "checkpoint is not one this server issued"
+      );
+    }
+
+    res.json(await pullChanges(req.account, checkpoint, Number(limit)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Apply changes made offline: { changes: [{ type, op, id?, clientId?,
+// updatedAt, baseUpdatedAt?, data }] }. Responds with one result per change.
+router.post("/push", validate(schemas.push), async (req, res, next) => {
+  try {
+    const { changes } = req.body;
+    console.log(
+      `[sync] POST /push - userId=${req.user.uid} changes=${changes.length}`
+    );
+
+    const results = await pushChanges(
+      {
+        account: req.account,
+        entitlements: req.entitlements,
+        timeZone: requestTimeZone(req),
+        audit: req.audit,
+      },
+      changes
+    );
+    res.json({ results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
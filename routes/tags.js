@@ -0,0 +1,126 @@
+const express = require("express");
+const router = express.Router();
+const { ENTRY_TYPES } = require("../models/entryModels");
+const {
+  normalizeTag,
+  tagUsage,
+  isTagInUse,
+  replaceTags,
+  deleteTag,
+} = require("../utils/tags");
+const {
+  unauthorized,
+  notFound,
+  conflict,
+  invalidField,
+} = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/tags");
+
+const totalChanged = (changed) =>
+  Object.values(changed).reduce((sum, count) => sum + count, 0);
+
+// List the user's tags with usage counts per type, most used first.
+// ?prefix=wo autocompletes, ?types=journal,mistake narrows the count and
+// ?limit caps the list.
+router.get("/", validate(schemas.list), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { prefix, types, limit } = req.query;
+    console.log(`[tags] GET / - userId=${userId} prefix=${prefix}`);
+
+    const selectedTypes = types
+      ? [...new Set(types.split(",").map((type) => type.trim()))]
+      : ENTRY_TYPES;
+
+    let tags = await tagUsage(userId, {
+      prefix: prefix ? prefix.trim().toLowerCase() : undefined,
+      types: selectedTypes,
+    });
+    if (limit) tags = tags.slice(0, Number(limit));
+
+    res.json({ tags });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Merge several tags into one, e.g. { "tags": ["job"], "into": "work" }.
+// The target may be new or one of the tags already in use.
+router.post("/merge", validate(schemas.merge), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { tags, into } = req.body;
+    console.log(`[tags] POST /merge - userId=${userId} into=${into}`);
+
+    if (!tags.length) throw invalidField("body.tags", "tags must not be empty");
+    const target = normalizeTag(into);
+    const sources = [...new Set(tags.map(normalizeTag))];
+
+    const changed = await replaceTags(
+      userId,
+      sources.filter((tag) => tag !== target),
+      target
+    );
+    console.log(
+      `[tags] MERGED ${sources.join(
+        ","
+      )} -> ${target} userId=${userId} entries=${totalChanged(changed)}`
+    );
+    req.audit("tags.merge", {
+      metadata: { tags: sources, into: target, changed },
+    });
+    res.json({ tag: target, merged: sources, changed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename a tag on every entry: { "name": "career" }. Renaming onto a tag
+// that is already in use is a merge and has to be asked for as one.
+router.patch("/:tag", validate(schemas.rename), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const tag = normalizeTag(req.params.tag);
+    const name = normalizeTag(req.body.name);
+    console.log(
+      `[tags] PATCH /:tag - userId=${userId} tag=${tag} name=${name}`
+    );
+
+    if (!(await isTagInUse(userId, tag))) throw notFound("Tag not found");
+    if (name === tag) {
+      return res.json({ tag: name, changed: {} });
+    }
+    if (await isTagInUse(userId, name)) {
+      throw conflict(`Tag "${name}" already exists; merge the tags instead`);
+    }
+
+    const changed = await replaceTags(userId, [tag], name);
+    req.audit("tags.rename", { metadata: { from: tag, to: name, changed } });
+    res.json({ tag: name, changed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a tag from every entry that has it
+router.delete("/:tag", validate(schemas.remove), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const tag = normalizeTag(req.params.tag);
+    console.log(`[tags] DELETE /:tag - userId=${userId} tag=${tag}`);
+
+    const changed = await deleteTag(userId, tag);
+    if (!totalChanged(changed)) throw notFound("Tag not found");
+    req.audit("tags.delete", { metadata: { tag, changed } });
+    res.json({ message: "Tag deleted", changed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { ENTRY_MODELS, ENTRY_TYPES } = require("../models/entryModels");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { unauthorized, invalidField } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/timeline");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Newest first: entry date, then creation time, then _id as a tiebreaker so
+// entries sharing a timestamp still page deterministically.
+const compareEntries = (a, b) => {
+  if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+  const createdDiff = new Date(b.createdAt) - new Date(a.createdAt);
+  if (createdDiff !== 0) return createdDiff;
+  const aId = a._id.toString();
+  const bId = b._id.toString();
+  return aId === bId ? 0 : aId < bId ? 1 : -1;
+};
+
+// Matches everything strictly after the cursor position in feed order
+const afterPosition = ({ date, createdAt, id }) => {
+  const created = new Date(createdAt);
+  const _id = new mongoose.Types.ObjectId(id);
+  return {
+    $or: [
+      { date: { $lt: date } },
+      { date, createdAt: { $lt: created } },
+      { date, createdAt: created, _id: { $lt: _id } },
+    ],
+  };
+};
+
+// Get a chronological feed of all entry types for the authenticated user
+router.get("/", validate(schemas.list), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { from, to, types, cursor, limit } = req.query;
+    console.log(
+      `[timeline] GET / - userId=${userId} from=${from} to=${to} types=${types} limit=${limit}`
+    );
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+
+    const selectedTypes = types
+      ? [...new Set(types.split(",").map((type) => type.trim()))]
+      : ENTRY_TYPES;
+
+    let position = null;
+    if (cursor) {
+      position = decodeCursor(cursor);
+      if (
+        !position ||
+        typeof position.date !== "string" ||
+        isNaN(new Date(position.createdAt)) ||
+        !mongoose.isValidObjectId(position.id)
+      ) {
+        throw invalidField("query.cursor", "Invalid cursor");
+      }
+    }
+
+    const query = { userId };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+    if (position) {
+      query.$and = [afterPosition(position)];
+    }
+
+    // Each collection returns at most one page; the merged feed is cut back
+    // to a single page so the next cursor resumes exactly where we stopped.
+    const results = await Promise.all(
+      selectedTypes.map(async (type) => {
+        const docs = await ENTRY_MODELS[type]
+          .find(query)
+          .sort({ date: -1, createdAt: -1, _id: -1 })
+          .limit(pageSize + 1)
+          .lean();
+        return docs.map((doc) => ({ ...doc, type }));
+      })
+    );
+
+    const merged = results.flat().sort(compareEntries);
+    const entries = merged.slice(0, pageSize);
+    const hasMore = merged.length > pageSize;
+    const last = entries[entries.length - 1];
+
+    res.json({
+      entries,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last
+            ? encodeCursor({
+                date: last.date,
+                createdAt: last.createdAt,
+                id: last._id.toString(),
+              })
+            : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { ENTRY_MODELS, ENTRY_TYPES } = require("../models/entryModels");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { entryEvent } = require("../utils/audit");
+const { unauthorized, notFound, invalidField } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/trash");
+const {
+  TRASH_RETENTION_DAYS,
+  purgeDateFor,
+  purgeTrashed,
+} = require("../utils/trash");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const parseTypes = (types) =>
+  types
+    ? [...new Set(types.split(",").map((type) => type.trim()))]
+    : ENTRY_TYPES;
+
+// Most recently deleted first
+const compareDeleted = (a, b) => {
+  const diff = new Date(b.deletedAt) - new Date(a.deletedAt);
+  if (diff !== 0) return diff;
+  const aId = a._id.toString();
+  const bId = b._id.toString();
+  return aId === bId ? 0 : aId < bId ? 1 : -1;
+};
+
+// List trashed entries of every type for the authenticated user
+router.get("/", validate(schemas.list), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { types, cursor, limit } = req.query;
+    console.log(`[trash] GET / - userId=${userId} types=${types}`);
+
+    const selectedTypes = parseTypes(types);
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+
+    const query = { userId, deletedAt: { $ne: null } };
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (
+        !position ||
+        isNaN(new Date(position.deletedAt)) ||
+        !mongoose.isValidObjectId(position.id)
+      ) {
+        throw invalidField("query.cursor", "Invalid cursor");
+      }
+      const deletedAt = new Date(position.deletedAt);
+      query.$or = [
+        { deletedAt: { $lt: deletedAt } },
+        { deletedAt, _id: { $lt: new mongoose.Types.ObjectId(position.id) } },
+      ];
+    }
+
+    const results = await Promise.all(
+      selectedTypes.map(async (type) => {
+        const docs = await ENTRY_MODELS[type]
+          .find(query)
+          .sort({ deletedAt: -1, _id: -1 })
+          .limit(pageSize + 1)
+          .lean();
+        return docs.map((doc) => ({
+          ...doc,
+          type,
+          purgeAt: purgeDateFor(doc.deletedAt),
+        }));
+      })
+    );
+
+    const merged = results.flat().sort(compareDeleted);
+    const entries = merged.slice(0, pageSize);
+    const hasMore = merged.length > pageSize;
+    const last = entries[entries.length - 1];
+
+    res.json({
+      entries,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor:
+          hasMore && last
+            ? encodeCursor({ deletedAt: last.deletedAt, id: last._id })
+            : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore a trashed entry
+router.post(
+  "/:type/:id/restore",
+  validate(schemas.entry),
+  async (req, res, next) => {
+    try {
+      const userId = req.user?.uid;
+      if (!userId) throw unauthorized();
+      const { type, id } = req.params;
+      console.log(
+        `[trash] POST /:type/:id/restore - userId=${userId} id=${id}`
+      );
+
+      const entry = await ENTRY_MODELS[type].findOne({
+        _id: id,
+        userId,
+        deletedAt: { $ne: null },
+      });
+      if (!entry) throw notFound("Trashed entry not found");
+
+      const restored = await entry.restore();
+      req.audit("entry.restore", entryEvent(type, restored));
+      res.json(restored);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Permanently delete one trashed entry
+router.delete("/:type/:id", validate(schemas.entry), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { type, id } = req.params;
+    console.log(`[trash] DELETE /:type/:id - userId=${userId} id=${id}`);
+
+    const deleted = await purgeTrashed(type, { _id: id, userId });
+    if (!deleted) throw notFound("Trashed entry not found");
+
+    req.audit("entry.purge", {
+      target: { type, id },
+    });
+    res.json({ message: "Entry permanently deleted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Empty the trash, optionally only for some types
+router.delete("/", validate(schemas.empty), async (req, res, next) => {
+  try {
+    const userId = req.user?.uid;
+    if (!userId) throw unauthorized();
+    const { types } = req.query;
+    console.log(`[trash] DELETE / - userId=${userId} types=${types}`);
+
+    const selectedTypes = parseTypes(types);
+
+    const deleted = {};
+    for (const type of selectedTypes) {
+      deleted[type] = await purgeTrashed(type, { userId });
+    }
+
+    req.audit("trash.empty", { metadata: { deleted } });
+    res.json({ message: "Trash emptied", deleted });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// Recomputes derived fields on existing entries. Run with the same
+// environment as the server (MONGODB_URI, ENCRYPTION_MASTER_KEY, ...):
+//
+//   npm run backfill -- distortions
+//       Detect cognitive distortions in overthinking thoughts saved before
+//       detection existed
+//
+//   npm run backfill -- sentiment
+//       Score the sentiment of journal entries saved before scoring existed
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Journal = require("../models/Journal");
+const Overthinking = require("../models/Overthinking");
+const { distortionSummary } = require("../utils/distortions");
+const { sentimentSummary } = require("../utils/sentiment");
+
+// Streams every entry (trash included), decrypts it and writes `derive`'s
+// fields with a plain update, so timestamps and revision history stay as
+// they are
+const backfill = async (Model, derive) => {
+  let updated = 0;
+  const cursor = Model.find({})
+    .setOptions({ withDeleted: true })
+    .lean()
+    .cursor();
+  for await (const doc of cursor) {
+    await Model.decryptDocument(doc);
+    await Model.collection.updateOne({ _id: doc._id }, { $set: derive(doc) });
+    updated += 1;
+  }
+  return { updated };
+};
+
+const commands = {
+  distortions: () =>
+    backfill(Overthinking, (doc) => ({
+      distortions: distortionSummary(doc.thought),
+    })),
+  sentiment: () =>
+    backfill(Journal, (doc) => ({
+      sentiment: sentimentSummary(doc.content),
+    })),
+};
+
+const main = async () => {
+  const [command] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(
+      `Usage: node scripts/backfill.js <${Object.keys(commands).join("|")}>`
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/mental-clarity"
+  );
+  try {
+    const result = await commands[command]();
+    console.log(`[backfill] ${command} done`, result);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error("[backfill] failed", error);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+// Encryption maintenance commands. Run with the same environment as the
+// server (MONGODB_URI, ENCRYPTION_MASTER_KEY, ...):
+//
+//   npm run encryption -- migrate
+//       Encrypt entries that are still stored as plaintext
+//   npm run encryption -- rotate-master
+//       Re-wrap every data key with the current ENCRYPTION_MASTER_KEY. Put
+//       the old key in ENCRYPTION_PREVIOUS_MASTER_KEYS while this runs.
+//   npm run encryption -- rotate-data-keys [firebaseUid]
+//       Issue new data keys (for one user or everyone) and re-encrypt their
+//       entries with them
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const DataKey = require("../models/DataKey");
+const { ENTRY_MODELS } = require("../models/entryModels");
+const {
+  isEncryptionEnabled,
+  rotateMasterKey,
+  rotateDataKey,
+} = require("../utils/fieldEncryption");
+
+const ENCRYPTED_FIELDS = {
+  journal: ["content"],
+  overthinking: ["thought", "solution", "outcome.notes"],
+  mistake: ["mistake", "solution"],
+};
+
+// Decrypts and re-saves every matching entry so it is written with the
+// user's active data key. Timestamps are left alone: re-encryption is not
+// an edit.
+const reencryptEntries = async (filterFor) => {
+  const counts = {};
+  for (const [type, Model] of Object.entries(ENTRY_MODELS)) {
+    counts[type] = 0;
+    const cursor = Model.find(filterFor(type))
+      .setOptions({ withDeleted: true })
+      .cursor();
+    for await (const doc of cursor) {
+      await Model.decryptDocument(doc);
+      ENCRYPTED_FIELDS[type].forEach((path) => doc.markModified(path));
+      await doc.save({ timestamps: false });
+      counts[type] += 1;
+    }
+  }
+  return counts;
+};
+
+const commands = {
+  migrate: () =>
+    reencryptEntries((type) => ({
+      $or: ENCRYPTED_FIELDS[type].map((path) => ({
+        [path]: { $type: "string", $not: /^(enc:v1:|$)/ },
+      })),
+    })),
+
+  "rotate-master": async () => ({ rewrappedKeys: await rotateMasterKey() }),
+
+  "rotate-data-keys": async (uid) => {
+    const userIds = uid
+      ? [uid]
+      : await DataKey.distinct("userId", { purpose: "data" });
+    const versions = {};
+    for (const userId of userIds) {
+      versions[userId] = await rotateDataKey(userId);
+    }
+    const reencrypted = await reencryptEntries(() => ({
+      userId: { $in: userIds },
+    }));
+    return { rotatedUsers: userIds.length, reencrypted };
+  },
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(
+      `Usage: node scripts/encryption.js <${Object.keys(commands).join("|")}>`
+    );
+    process.exit(1);
+  }
+  if (!isEncryptionEnabled()) {
+    console.error("ENCRYPTION_MASTER_KEY is not configured");
+    process.exit(1);
+  }
+
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/mental-clarity"
+  );
+  try {
+    const result = await commands[command](...args);
+    console.log(`[encryption] ${command} done`, result);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error("[encryption] failed", error);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+// One-off migration from the embedded mistake streakInfo to daily check-ins.
+// Run with the same environment as the server (MONGODB_URI):
+//
+//   npm run migrate:streaks
+//
+// The old bookkeeping only kept the current run, so the days of that run
+// become "avoided" check-ins and the best streak is kept as
+// legacyBestStreak. Safe to run more than once.
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Mistake = require("../models/Mistake");
+const CheckIn = require("../models/CheckIn");
+const { isValidDay, addDays } = require("../utils/dates");
+
+const checkInsFor = (mistake) => {
+  const { currentStreak = 0, lastAvoidedDate } = mistake.streakInfo || {};
+  if (!isValidDay(lastAvoidedDate) || currentStreak <= 0) return [];
+  return Array.from({ length: currentStreak }, (_, index) => ({
+    updateOne: {
+      filter: { mistakeId: mistake._id, day: addDays(lastAvoidedDate, -index) },
+      update: {
+        $setOnInsert: {
+          userId: mistake.userId,
+          status: "avoided",
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        },
+      },
+      upsert: true,
+    },
+  }));
+};
+
+const migrate = async () => {
+  const counts = { mistakes: 0, checkIns: 0 };
+  // Straight from the collection: streakInfo is no longer in the schema and
+  // the documents are left exactly as they are apart from these fields
+  const cursor = Mistake.collection.find({ streakInfo: { $exists: true } });
+
+  for await (const mistake of cursor) {
+    const operations = checkInsFor(mistake);
+    if (operations.length) {
+      const result = await CheckIn.bulkWrite(operations, { ordered: false });
+      counts.checkIns += result.upsertedCount;
+    }
+    await Mistake.collection.updateOne(
+      { _id: mistake._id },
+      {
+        $set: { legacyBestStreak: mistake.streakInfo?.bestStreak || 0 },
+        $unset: { streakInfo: "" },
+      }
+    );
+    counts.mistakes += 1;
+  }
+  return counts;
+};
+
+const main = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/mental-clarity"
+  );
+  try {
+    await CheckIn.init();
+    const result = await migrate();
+    console.log("[migrate-streaks] done", result);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error("[migrate-streaks] failed", error);
+  process.exit(1);
+});
@@ -9,15 +9,51 @@ const app = express();
 
 // Import routes
 const verifyToken = require("./verifyToken");
+const {
+  loadEntitlements,
+  requireFeature,
+} = require("./middleware/entitlements");
 const authRoutes = require("./routes/auth");
 const journalRoutes = require("./routes/journal");
 const overthinkingRoutes = require("./routes/overthinking");
 const mistakeRoutes = require("./routes/mistakes");
+const timelineRoutes = require("./routes/timeline");
+const searchRoutes = require("./routes/search");
+const exportRoutes = require("./routes/export");
+const importRoutes = require("./routes/import");
+const trashRoutes = require("./routes/trash");
+const preferenceRoutes = require("./routes/preferences");
+const deviceRoutes = require("./routes/devices");
+const reportRoutes = require("./routes/reports");
+const tagRoutes = require("./routes/tags");
+const syncRoutes = require("./routes/sync");
+const batchRoutes = require("./routes/batch");
+const auditRoutes = require("./routes/audit");
+const adminRoutes = require("./routes/admin");
+const { rateLimit } = require("./middleware/rateLimit");
+const { auditTrail, requireAdmin } = require("./middleware/audit");
+const { errorHandler, routeNotFound } = require("./middleware/errors");
+const { startAccountPurgeJob } = require("./jobs/accountPurge");
+const { startTrashPurgeJob } = require("./jobs/trashPurge");
+const { startReminderJob } = require("./jobs/reminders");
+
+// Behind a load balancer or proxy, set TRUST_PROXY (e.g. 1 for one hop) so
+// req.ip, which public routes are rate limited by, is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Middleware
 app.use(helmet());
 app.use(cors());
+// Imports carry whole export bundles, so they get a larger body limit
+app.use(
+  "/api/import",
+  express.json({ limit: process.env.IMPORT_BODY_LIMIT || "25mb" })
+);
 app.use(express.json());
+app.use(auditTrail);
 
 // Serve static Help Center
 const publicDir = path.join(__dirname, "public");
@@ -37,10 +73,42 @@ app.use(
 );
 
 // API Routes
+// Signed-in routes verify the token, throttle by uid (see
+// middleware/rateLimit.js), then load the user's plan
+const signedIn = (budget) => [verifyToken, rateLimit(budget), loadEntitlements];
+
 app.use("/api/auth", authRoutes);
-app.use("/api/journal", verifyToken, journalRoutes);
-app.use("/api/overthinking", verifyToken, overthinkingRoutes);
-app.use("/api/mistakes", verifyToken, mistakeRoutes);
+app.use("/api/journal", signedIn(), journalRoutes);
+app.use("/api/overthinking", signedIn(), overthinkingRoutes);
+app.use("/api/mistakes", signedIn(), mistakeRoutes);
+app.use("/api/timeline", signedIn(), timelineRoutes);
+app.use("/api/search", signedIn("heavy"), searchRoutes);
+app.use("/api/trash", signedIn(), trashRoutes);
+app.use("/api/preferences", signedIn(), preferenceRoutes);
+app.use("/api/devices", signedIn(), deviceRoutes);
+app.use("/api/tags", signedIn(), tagRoutes);
+app.use("/api/sync", signedIn("heavy"), syncRoutes);
+app.use("/api/batch", signedIn("heavy"), batchRoutes);
+app.use("/api/audit", signedIn(), auditRoutes);
+app.use("/api/admin", verifyToken, rateLimit(), requireAdmin, adminRoutes);
+app.use(
+  "/api/reports",
+  signedIn("heavy"),
+  requireFeature("insights"),
+  reportRoutes
+);
+app.use(
+  "/api/export",
+  signedIn("heavy"),
+  requireFeature("export"),
+  exportRoutes
+);
+app.use(
+  "/api/import",
+  signedIn("heavy"),
+  requireFeature("import"),
+  importRoutes
+);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -51,22 +119,9 @@ app.get("/api/health", (req, res) => {
   });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: "Something went wrong!",
-    message:
-      process.env.NODE_ENV === "development"
-        ? err.message
-        : "Internal server error",
-  });
-});
-
-// 404 handler
-app.use("*", (req, res) => {
-  res.status(404).json({ error: "Route not found" });
-});
+// Unknown routes, then every error as { error, code, details? }
+app.use(routeNotFound);
+app.use(errorHandler);
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -85,6 +140,10 @@ const connectDB = async () => {
 const PORT = process.env.PORT || 5000;
 
 connectDB().then(() => {
+  startAccountPurgeJob();
+  startTrashPurgeJob();
+  startReminderJob();
+
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
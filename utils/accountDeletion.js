@@ -0,0 +1,138 @@
+// Account deletion: a request starts a grace period the user can undo, after
+// which the purge job erases everything keyed by their Firebase UID and
+// leaves an anonymous erasure receipt behind.
+
+const crypto = require("crypto");
+const admin = require("../firebase");
+const User = require("../models/User");
+const ErasureReceipt = require("../models/ErasureReceipt");
+const DataKey = require("../models/DataKey");
+const Revision = require("../models/Revision");
+const CheckIn = require("../models/CheckIn");
+const DeviceToken = require("../models/DeviceToken");
+const ReminderDelivery = require("../models/ReminderDelivery");
+const Tombstone = require("../models/Tombstone");
+const AuditEvent = require("../models/AuditEvent");
+const { ENTRY_MODELS } = require("../models/entryModels");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parsedGraceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+const GRACE_PERIOD_DAYS = Number.isNaN(parsedGraceDays) ? 30 : parsedGraceDays;
+
+// Every collection holding user data, with the field that stores the UID.
+// Anything added here is erased with the account.
+const USER_DATA = [
+  ...Object.entries(ENTRY_MODELS).map(([name, model]) => ({
+    name,
+    model,
+    field: "userId",
+  })),
+  { name: "revisions", model: Revision, field: "userId" },
+  { name: "checkIns", model: CheckIn, field: "userId" },
+  { name: "deviceTokens", model: DeviceToken, field: "userId" },
+  { name: "reminderDeliveries", model: ReminderDelivery, field: "userId" },
+  { name: "tombstones", model: Tombstone, field: "userId" },
+  { name: "auditEvents", model: AuditEvent, field: "userId" },
+  // Dropping the keys also makes any ciphertext left in backups unreadable
+  { name: "dataKeys", model: DataKey, field: "userId" },
+];
+
+const hashUid = (uid) => crypto.createHash("sha256").update(uid).digest("hex");
+
+const deletionStatus = (user) => ({
+  requestedAt: user.deletion.requestedAt,
+  scheduledFor: user.deletion.scheduledFor,
+  deleteFirebaseUser: user.deletion.deleteFirebaseUser,
+  receiptId: user.deletion.receiptId,
+  gracePeriodDays: GRACE_PERIOD_DAYS,
+});
+
+const isDeletionPending = (user) => Boolean(user?.deletion?.scheduledFor);
+
+const scheduleDeletion = async (user, { deleteFirebaseUser = false } = {}) => {
+  const now = new Date();
+  user.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + GRACE_PERIOD_DAYS * DAY_MS),
+    deleteFirebaseUser: Boolean(deleteFirebaseUser),
+    receiptId: crypto.randomUUID(),
+  };
+  await user.save();
+  return deletionStatus(user);
+};
+
+const cancelDeletion = async (user) => {
+  user.deletion = undefined;
+  await user.save();
+};
+
+const deleteFirebaseUser = async (uid) => {
+  try {
+    await admin.auth().deleteUser(uid);
+    return true;
+  } catch (error) {
+    if (error.code === "auth/user-not-found") return true;
+    throw error;
+  }
+};
+
+// Irreversibly erases one account. Safe to re-run: the receipt is upserted
+// and the User document goes last, so a failed purge is retried by the job.
+const purgeAccount = async (user) => {
+  const uid = user.firebaseUid;
+  const deletedCounts = {};
+
+  for (const { name, model, field } of USER_DATA) {
+    const result = await model.deleteMany({ [field]: uid });
+    deletedCounts[name] = result.deletedCount;
+  }
+
+  const firebaseUserDeleted = user.deletion?.deleteFirebaseUser
+    ? await deleteFirebaseUser(uid)
+    : false;
+
+  const receiptId = user.deletion?.receiptId || crypto.randomUUID();
+  const receipt = await ErasureReceipt.findOneAndUpdate(
+    { receiptId },
+    {
+      receiptId,
+      subjectHash: hashUid(uid),
+      requestedAt: user.deletion?.requestedAt,
+      completedAt: new Date(),
+      firebaseUserDeleted,
+      deletedCounts: { ...deletedCounts, user: 1 },
+    },
+    { upsert: true, new: true }
+  );
+
+  await User.deleteOne({ _id: user._id });
+  console.log(`[account] PURGED receiptId=${receiptId}`, deletedCounts);
+  return receipt;
+};
+
+// Purges every account whose grace period has ended
+const purgeDueAccounts = async () => {
+  const due = await User.find({
+    "deletion.scheduledFor": { $lte: new Date() },
+  });
+  for (const user of due) {
+    try {
+      await purgeAccount(user);
+    } catch (error) {
+      console.error(`[account] purge failed for user _id=${user._id}`, error);
+    }
+  }
+  return due.length;
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  USER_DATA,
+  deletionStatus,
+  isDeletionPending,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+};
@@ -0,0 +1,317 @@
+// Time-series analytics for charts. Entries are bucketed by day, week or
+// month with $dateTrunc, empty buckets are filled in with $densify and
+// moving averages come from $setWindowFields, so the work happens in MongoDB
+// however many entries a user has.
+
+const Journal = require("../models/Journal");
+const Overthinking = require("../models/Overthinking");
+const Mistake = require("../models/Mistake");
+const CheckIn = require("../models/CheckIn");
+const { moodScoreExpression } = require("./mood");
+const {
+  isValidDay,
+  today,
+  addDays,
+  startOfWeek,
+  requestTimeZone,
+} = require("./dates");
+
+const GRANULARITIES = ["day", "week", "month"];
+const FORMATS = ["series", "heatmap"];
+// Buckets the moving average spans unless ?window= says otherwise
+const DEFAULT_WINDOW = { day: 7, week: 4, month: 3 };
+const MAX_WINDOW = 90;
+// Range covered when ?from= is missing, in buckets
+const DEFAULT_SPAN = { day: 30, week: 12, month: 12 };
+const MAX_BUCKETS = 1100;
+
+const addMonths = (day, amount) => {
+  const [year, month] = day.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1 + amount, 1))
+    .toISOString()
+    .slice(0, 10);
+};
+
+// Start of the bucket containing `day`
+const bucketOf = (day, granularity, weekStart) => {
+  if (granularity === "week") return startOfWeek(day, weekStart);
+  if (granularity === "month") return `${day.slice(0, 7)}-01`;
+  return day;
+};
+
+// The bucket `amount` buckets after (or before) the one starting at `bucket`
+const shiftBucket = (bucket, granularity, amount) => {
+  if (granularity === "week") return addDays(bucket, amount * 7);
+  if (granularity === "month") return addMonths(bucket, amount);
+  return addDays(bucket, amount);
+};
+
+const bucketsBetween = (from, to, granularity, weekStart) => {
+  const buckets = [];
+  const last = bucketOf(to, granularity, weekStart);
+  for (
+    let bucket = bucketOf(from, granularity, weekStart);
+    bucket <= last && buckets.length <= MAX_BUCKETS;
+    bucket = shiftBucket(bucket, granularity, 1)
+  ) {
+    buckets.push(bucket);
+  }
+  return buckets;
+};
+
+// What each module charts. `total / weight` is the bucket's value and the
+// moving average is the same ratio over the window, so busy days weigh
+// more than quiet ones.
+const METRICS = {
+  journal: {
+    metric: "averageMood",
+    dateField: "date",
+    match: async (userId) => ({ userId }),
+    model: () => Journal,
+    group: {
+      count: { $sum: 1 },
+      total: { $sum: moodScoreExpression() },
+      weight: {
+        $sum: { $cond: [{ $eq: [moodScoreExpression(), null] }, 0, 1] },
+      },
+    },
+    extra: {},
+  },
+  overthinking: {
+    metric: "averageIntensity",
+    dateField: "date",
+    match: async (userId) => ({ userId }),
+    model: () => Overthinking,
+    group: {
+      count: { $sum: 1 },
+      total: { $sum: "$intensity" },
+      weight: { $sum: { $cond: [{ $isNumber: "$intensity" }, 1, 0] } },
+      released: { $sum: { $cond: ["$dumped", 1, 0] } },
+    },
+    extra: { released: 0 },
+  },
+  // Mistakes are charted from daily check-ins; the value is the share of
+  // check-ins where the mistake was avoided, as a percentage
+  mistake: {
+    metric: "avoidanceRate",
+    dateField: "day",
+    match: async (userId) => ({
+      userId,
+      mistakeId: {
+        $in: await Mistake.distinct("_id", { userId, deletedAt: null }),
+      },
+    }),
+    model: () => CheckIn,
+    group: {
+      count: { $sum: 1 },
+      total: { $sum: { $cond: [{ $eq: ["$status", "avoided"] }, 100, 0] } },
+      weight: { $sum: 1 },
+      avoided: { $sum: { $cond: [{ $eq: ["$status", "avoided"] }, 1, 0] } },
+      repeated: { $sum: { $cond: [{ $eq: ["$status", "repeated"] }, 1, 0] } },
+    },
+    extra: { avoided: 0, repeated: 0 },
+  },
+};
+
+const ratio = (total, weight) => ({
+  $cond: [
+    { $gt: [weight, 0] },
+    { $round: [{ $divide: [total, weight] }, 2] },
+    null,
+  ],
+});
+
+// First bucket the query reads, far enough back that the first bucket in
+// the range gets a full window
+const windowStart = ({ from, granularity, window, weekStart }) =>
+  shiftBucket(
+    bucketOf(from, granularity, weekStart),
+    granularity,
+    -(window - 1)
+  );
+
+const buildPipeline = (config, match, options) => {
+  const { to, granularity, window, weekStart } = options;
+  const extraFields = Object.keys(config.extra);
+  // Upper bound is exclusive: the start of the bucket after `to`
+  const bounds = [
+    windowStart(options),
+    shiftBucket(bucketOf(to, granularity, weekStart), granularity, 1),
+  ].map((day) => new Date(`${day}T00:00:00Z`));
+  return [
+    { $match: match },
+    {
+      $set: {
+        _day: {
+          $dateFromString: {
+            dateString: `$${config.dateField}`,
+            format: "%Y-%m-%d",
+            // Legacy free-form dates are left out rather than failing
+            onError: null,
+            onNull: null,
+          },
+        },
+      },
+    },
+    { $match: { _day: { $ne: null } } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: "$_day",
+            unit: granularity,
+            ...(granularity === "week" && { startOfWeek: weekStart }),
+          },
+        },
+        ...config.group,
+      },
+    },
+    // Empty buckets still count toward their neighbours' moving averages
+    {
+      $densify: { field: "_id", range: { step: 1, unit: granularity, bounds } },
+    },
+    {
+      $setWindowFields: {
+        sortBy: { _id: 1 },
+        output: {
+          windowTotal: {
+            $sum: "$total",
+            window: { range: [-(window - 1), 0], unit: granularity },
+          },
+          windowWeight: {
+            $sum: "$weight",
+            window: { range: [-(window - 1), 0], unit: granularity },
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        bucket: { $dateToString: { date: "$_id", format: "%Y-%m-%d" } },
+        count: 1,
+        value: ratio("$total", "$weight"),
+        movingAverage: ratio("$windowTotal", "$windowWeight"),
+        ...Object.fromEntries(extraFields.map((field) => [field, 1])),
+      },
+    },
+    { $sort: { bucket: 1 } },
+  ];
+};
+
+// Validates ?from&to&granularity&window&format. Returns { error, field } or
+// the options for runAnalytics.
+const parseAnalyticsQuery = (req) => {
+  const { granularity = "day", format = "series" } = req.query;
+  if (!FORMATS.includes(format)) {
+    return {
+      error: `format must be one of: ${FORMATS.join(", ")}`,
+      field: "format",
+    };
+  }
+  // A heatmap is always one cell per day
+  const unit = format === "heatmap" ? "day" : granularity;
+  if (!GRANULARITIES.includes(unit)) {
+    return {
+      error: `granularity must be one of: ${GRANULARITIES.join(", ")}`,
+      field: "granularity",
+    };
+  }
+
+  const weekStart = req.account?.preferences?.weekStart || "monday";
+  const to = req.query.to || today(requestTimeZone(req));
+  const from =
+    req.query.from ||
+    shiftBucket(bucketOf(to, unit, weekStart), unit, -(DEFAULT_SPAN[unit] - 1));
+  if (!isValidDay(from) || !isValidDay(to)) {
+    return {
+      error: "from and to must be dates in YYYY-MM-DD format",
+      field: isValidDay(from) ? "to" : "from",
+    };
+  }
+  if (from > to) return { error: "from must not be after to", field: "from" };
+  if (bucketsBetween(from, to, unit, weekStart).length > MAX_BUCKETS) {
+    return {
+      error: `Range is too long; at most ${MAX_BUCKETS} ${unit}s`,
+      field: "from",
+    };
+  }
+
+  // Heatmaps show each day on its own
+  const window =
+    format === "heatmap"
+      ? 1
+      : req.query.window === undefined
+      ? DEFAULT_WINDOW[unit]
+      : parseInt(req.query.window);
+  if (!Number.isInteger(window) || window < 1 || window > MAX_WINDOW) {
+    return {
+      error: `window must be a whole number from 1 to ${MAX_WINDOW}`,
+      field: "window",
+    };
+  }
+
+  return { from, to, granularity: unit, window, weekStart, format };
+};
+
+const runAnalytics = async (type, userId, options) => {
+  const config = METRICS[type];
+  const { from, to, granularity, window, weekStart, format } = options;
+
+  const match = {
+    ...(await config.match(userId)),
+    [config.dateField]: { $gte: windowStart(options), $lte: to },
+  };
+  const rows = await config
+    .model()
+    .aggregate(buildPipeline(config, match, options));
+
+  // Every bucket in the range is returned, empty ones included, so charts
+  // don't have to fill gaps. Densified buckets only carry their moving
+  // average, so the counts are defaulted here.
+  const byBucket = new Map(rows.map((row) => [row.bucket, row]));
+  const buckets = bucketsBetween(from, to, granularity, weekStart).map(
+    (bucket) => ({
+      bucket,
+      count: 0,
+      value: null,
+      movingAverage: null,
+      ...config.extra,
+      ...byBucket.get(bucket),
+    })
+  );
+
+  if (format === "heatmap") {
+    return {
+      format,
+      metric: config.metric,
+      from,
+      to,
+      maxCount: Math.max(0, ...buckets.map((b) => b.count)),
+      days: buckets.map(({ bucket, count, value }) => ({
+        day: bucket,
+        count,
+        value,
+      })),
+    };
+  }
+  return {
+    format,
+    metric: config.metric,
+    granularity,
+    window,
+    from,
+    to,
+    buckets,
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  FORMATS,
+  MAX_WINDOW,
+  METRICS,
+  buildPipeline,
+  parseAnalyticsQuery,
+  runAnalytics,
+};
@@ -0,0 +1,157 @@
+// The audit log: recording events and reading them back. Recording never
+// fails the request it belongs to; a write that fails is logged instead.
+
+const AuditEvent = require("../models/AuditEvent");
+const { REVISION_FIELDS, TEXT_FIELDS } = require("./revisions");
+const { encodeCursor, decodeCursor } = require("./cursor");
+const { escapeRegex } = require("./text");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const clientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+  appVersion: req.get("x-app-version"),
+});
+
+// Which tracked fields of an entry are about to be saved. Text fields are
+// named without their value and tags are counted, so no entry text ends up
+// in the log. Call before save(), which clears the modified state.
+const entryChanges = (type, entry) =>
+  REVISION_FIELDS[type]
+    .filter((field) => entry.isModified(field))
+    .map((field) => {
+      if (TEXT_FIELDS.includes(field)) return { field };
+      if (field === "tags") return { field, to: entry.tags.length };
+      return { field, to: entry.get(field) };
+    });
+
+// The preferences an update sets, from preferenceUpdates() paths
+const preferenceChanges = (updates) =>
+  Object.keys(updates).map((path) => ({
+    field: path.replace(/^preferences\./, ""),
+    to: updates[path],
+  }));
+
+// Details of an event about an entry, filed under the entry's owner
+const entryEvent = (type, entry, details = {}) => ({
+  userId: entry.userId,
+  target: { type, id: String(entry._id) },
+  ...details,
+});
+
+// Stores one event. `actor` is { actorId, client }; the event belongs to
+// the actor's account unless `userId` says otherwise.
+const recordAudit = async (actor, action, details = {}) => {
+  const {
+    userId = actor.actorId,
+    target,
+    changes,
+    metadata,
+    source = "api",
+  } = details;
+  try {
+    return await AuditEvent.create({
+      userId,
+      actorId: actor.actorId,
+      action,
+      target,
+      source,
+      client: actor.client,
+      changes,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`[audit] failed to record ${action} for ${userId}`, error);
+    return null;
+  }
+};
+
+// One page of events matching `filter`, newest first
+const listAuditEvents = async (filter, { limit = DEFAULT_LIMIT, cursor }) => {
+  const query = { ...filter };
+  if (cursor) {
+    const at = new Date(cursor.at);
+    query.$or = [
+      { createdAt: { $lt: at } },
+      { createdAt: at, _id: { $lt: cursor.id } },
+    ];
+  }
+  const events = await AuditEvent.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const page = events.slice(0, limit);
+  const last = page[page.length - 1];
+  const hasMore = events.length > limit;
+  return {
+    events: page.map(({ __v, ...event }) => event),
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor({ at: last.createdAt, id: String(last._id) })
+        : null,
+    },
+  };
+};
+
+// The filter for ?action&targetType&targetId&from&to. `action` may be a
+// comma-separated list, and "entry.*" matches every entry action.
+const auditFilter = ({ action, targetType, targetId, from, to }) => {
+  const filter = {};
+  if (action) {
+    const actions = action.split(",").map((name) => name.trim());
+    filter.$and = [
+      {
+        $or: actions.map((name) =>
+          name.endsWith(".*")
+            ? {
+                action: {
+                  $regex: `^${escapeRegex(name.slice(0, -1))}`,
+                },
+              }
+            : { action: name }
+        ),
+      },
+    ];
+  }
+  if (targetType) filter["target.type"] = targetType;
+  if (targetId) filter["target.id"] = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  return filter;
+};
+
+// ?limit&cursor, already checked by validators/audit.js. Returns
+// { limit, cursor } or { error, field } for a cursor we didn't issue.
+const parseAuditPage = ({ limit, cursor }) => {
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (
+    cursor &&
+    (!position ||
+      Number.isNaN(Date.parse(position.at)) ||
+      typeof position.id !== "string")
+  ) {
+    return { error: "cursor is not one this server issued", field: "cursor" };
+  }
+  return { limit: limit ? Number(limit) : DEFAULT_LIMIT, cursor: position };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  clientInfo,
+  entryChanges,
+  entryEvent,
+  preferenceChanges,
+  recordAudit,
+  listAuditEvents,
+  auditFilter,
+  parseAuditPage,
+};
@@ -0,0 +1,269 @@
+// Several entry operations in one request, for multi-select in the app.
+// Each operation follows the same rules as its single-entry route.
+//
+// By default operations run one after another and each gets its own
+// result, so one failure doesn't stop the rest. In atomic mode they run in
+// one transaction and the first failure rolls everything back.
+
+const { ENTRY_MODELS } = require("../models/entryModels");
+const { entryQuotaCounter } = require("./plans");
+const {
+  buildEntry,
+  applyEntryUpdate,
+  dumpThought,
+  saveEntry,
+} = require("./entries");
+const { entryChanges, entryEvent } = require("./audit");
+const { withTransaction, isTransactionUnsupported } = require("./transactions");
+const { ApiError, validationError, notFound, toApiError } = require("./errors");
+const { checkFields } = require("../middleware/validate");
+const journalSchemas = require("../validators/journal");
+const overthinkingSchemas = require("../validators/overthinking");
+const mistakeSchemas = require("../validators/mistakes");
+
+const MAX_BATCH_OPERATIONS = 100;
+
+const ENTRY_SCHEMAS = {
+  journal: journalSchemas,
+  overthinking: overthinkingSchemas,
+  mistake: mistakeSchemas,
+};
+
+// Entry types each operation applies to
+const OPERATION_TYPES = {
+  create: Object.keys(ENTRY_MODELS),
+  update: Object.keys(ENTRY_MODELS),
+  delete: Object.keys(ENTRY_MODELS),
+  dump: ["overthinking"],
+  "toggle-avoided": ["mistake"],
+};
+
+const operationFields = {
+  op: { type: "string", required: true, enum: Object.keys(OPERATION_TYPES) },
+  type: { type: "string", required: true, enum: Object.keys(ENTRY_MODELS) },
+  id: { type: "objectId" },
+  data: { type: "object" },
+};
+
+const check = (location, fields, source) => {
+  const details = checkFields(location, fields, source);
+  if (details.length) {
+    throw validationError(
+      details.length === 1 ? details[0].message : "Validation failed",
+      details
+    );
+  }
+};
+
+// Validates the operation's shape before anything touches the database
+const checkOperation = (operation, location) => {
+  check(location, operationFields, operation);
+  const { op, type, id } = operation;
+  if (!OPERATION_TYPES[op].includes(type)) {
+    throw validationError(`${op} only applies to ${OPERATION_TYPES[op]}`, [
+      {
+        field: `${location}.type`,
+        message: `${op} can't be applied to ${type}`,
+      },
+    ]);
+  }
+  if (op !== "create" && !id) {
+    throw validationError("id is required", [
+      { field: `${location}.id`, message: "id is required" },
+    ]);
+  }
+  const schemas = ENTRY_SCHEMAS[type];
+  if (op === "create") {
+    check(`${location}.data`, schemas.createEntry.body, operation.data || {});
+  } else if (op === "update") {
+    check(`${location}.data`, schemas.updateEntry.body, operation.data || {});
+  }
+};
+
+const findEntry = async (context, { type, id }) => {
+  const entry = await ENTRY_MODELS[type]
+    .findOne({ _id: id, userId: context.userId })
+    .session(context.session);
+  if (!entry) throw notFound("Entry not found");
+  return entry;
+};
+
+// The audit event for an operation, as [action, details]
+const auditFor = (type, entry, action, details = {}) => [
+  action,
+  entryEvent(type, entry, { ...details, source: "batch" }),
+];
+
+// Applies one checked operation. Returns { status, entry?, audit? } where
+// status is the HTTP status the single-entry route would have answered
+// with; failed operations get the status of their error.
+const applyOperation = async (context, operation) => {
+  const { op, type } = operation;
+  const data = operation.data || {};
+  const { timeZone } = context;
+
+  if (op === "create") {
+    if (!(await context.reserveEntry())) {
+      throw new ApiError(402, "UPGRADE_REQUIRED", "Upgrade required");
+    }
+    const entry = buildEntry(type, context.userId, data, timeZone);
+    entry.$session(context.session);
+    const saved = await saveEntry(type, entry, data, timeZone);
+    return {
+      status: 201,
+      entry: saved,
+      audit: auditFor(type, saved, "entry.create", {
+        metadata: { clientId: data.clientId },
+      }),
+    };
+  }
+
+  const entry = await findEntry(context, operation);
+  if (op === "delete") {
+    await entry.softDelete();
+    return { status: 200, audit: auditFor(type, entry, "entry.delete") };
+  }
+  if (op === "dump") {
+    return {
+      status: 200,
+      entry: await dumpThought(entry).save(),
+      audit: auditFor(type, entry, "entry.dump"),
+    };
+  }
+  if (op === "toggle-avoided") {
+    entry.avoided = !entry.avoided;
+    return {
+      status: 200,
+      entry: await saveEntry(type, entry, { avoided: entry.avoided }, timeZone),
+      audit: auditFor(type, entry, "entry.toggle_avoided", {
+        changes: [{ field: "avoided", to: entry.avoided }],
+      }),
+    };
+  }
+  applyEntryUpdate(type, entry, data);
+  const changes = entryChanges(type, entry);
+  return {
+    status: 200,
+    entry: await saveEntry(type, entry, data, timeZone),
+    ...(changes.length && {
+      audit: auditFor(type, entry, "entry.update", { changes }),
+    }),
+  };
+};
+
+const resultFor = (index, operation, outcome) => ({
+  index,
+  op: operation?.op,
+  type: operation?.type,
+  id: outcome.entry?._id || operation?.id,
+  status: outcome.status,
+  ...(outcome.entry && { entry: outcome.entry }),
+});
+
+const failureFor = (index, operation, error) => {
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    console.error(`[batch] operation ${index} failed`, error);
+  }
+  return {
+    index,
+    op: operation?.op,
+    type: operation?.type,
+    id: operation?.id,
+    status: apiError.status,
+    code: apiError.code,
+    error: apiError.message,
+    ...(apiError.details?.length && { details: apiError.details }),
+  };
+};
+
+const locationOf = (index) => `body.operations.${index}`;
+
+const contextFor = ({ userId, entitlements, timeZone }, session) => ({
+  userId,
+  timeZone,
+  session,
+  reserveEntry: entryQuotaCounter(userId, entitlements, timeZone),
+});
+
+const recordEvents = (user, outcomes) =>
+  outcomes.forEach((outcome) => {
+    if (outcome.audit && user.audit) user.audit(...outcome.audit);
+  });
+
+// Each operation on its own; failures are reported in the results
+const runEach = async (user, operations) => {
+  const context = contextFor(user, null);
+  const results = [];
+  for (const [index, operation] of operations.entries()) {
+    try {
+      checkOperation(operation, locationOf(index));
+      const outcome = await applyOperation(context, operation);
+      recordEvents(user, [outcome]);
+      results.push(resultFor(index, operation, outcome));
+    } catch (error) {
+      results.push(failureFor(index, operation, error));
+    }
+  }
+  return results;
+};
+
+// All operations in one transaction. The first failure is thrown, naming
+// the operation, which rolls back the ones before it.
+const runAtomic = async (user, operations, session) => {
+  // A retried transaction starts over, quota count included
+  const context = contextFor(user, session);
+  const outcomes = [];
+  for (const [index, operation] of operations.entries()) {
+    try {
+      outcomes.push(await applyOperation(context, operation));
+    } catch (error) {
+      const apiError = toApiError(error);
+      // Left as is so transient transaction errors are retried
+      if (apiError.status >= 500) throw error;
+      throw new ApiError(
+        apiError.status,
+        apiError.code,
+        `Operation ${index} failed: ${apiError.message}`,
+        apiError.details?.length
+          ? apiError.details
+          : [{ field: locationOf(index), message: apiError.message }]
+      );
+    }
+  }
+  return outcomes;
+};
+
+// Runs `operations` for `user` ({ userId, entitlements, timeZone, audit? })
+// in order and returns one result per operation. `audit` is req.audit;
+// events of an atomic batch are only recorded once it has committed.
+const runBatch = async (user, operations, { atomic = false } = {}) => {
+  if (!atomic) return runEach(user, operations);
+
+  // Everything is checked up front so a bad request never opens a
+  // transaction
+  operations.forEach((operation, index) =>
+    checkOperation(operation, locationOf(index))
+  );
+
+  let outcomes;
+  try {
+    outcomes = await withTransaction(
+      (session) => runAtomic(user, operations, session),
+      { required: true }
+    );
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+    throw new ApiError(
+      503,
+      "TRANSACTIONS_UNAVAILABLE",
+      "Atomic batches need MongoDB transactions, which this server doesn't support"
+    );
+  }
+  recordEvents(user, outcomes);
+  return outcomes.map((outcome, index) =>
+    resultFor(index, operations[index], outcome)
+  );
+};
+
+module.exports = { MAX_BATCH_OPERATIONS, OPERATION_TYPES, runBatch };
@@ -0,0 +1,17 @@
+// Opaque pagination cursors: the last position of a page, serialized as
+// base64url JSON so clients never depend on its shape.
+
+const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+// Returns null when the cursor is not something we issued
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return position && typeof position === "object" ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { encodeCursor, decodeCursor };
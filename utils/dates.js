@@ -0,0 +1,140 @@
+// Date helpers for the YYYY-MM-DD day strings entries are filed under
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// True for real calendar days only, so "2024-02-30" is rejected
+const isValidDay = (value) => {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The calendar day an instant falls on in the given IANA time zone
+const dayInTimeZone = (date, timeZone = "UTC") =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(date));
+
+const today = (timeZone = "UTC") => dayInTimeZone(new Date(), timeZone);
+
+// Local wall-clock time ("HH:MM") of an instant in the zone
+const timeInTimeZone = (date, timeZone = "UTC") =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hourCycle: "h23",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(new Date(date));
+
+// Calendar arithmetic on day strings; time zones don't matter here
+const addDays = (day, amount) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + amount * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+const daysBetween = (from, to) =>
+  Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS
+  );
+
+// 0 = Sunday ... 6 = Saturday
+const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+// First day of the week containing `day`; weeks start on Monday or Sunday
+const startOfWeek = (day, weekStart = "monday") => {
+  const first = weekStart === "sunday" ? 0 : 1;
+  return addDays(day, -((weekdayOf(day) - first + 7) % 7));
+};
+
+// Milliseconds the zone is ahead of UTC at the given instant
+const timeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a local wall-clock time ("HH:MM") on `day` happens in the
+// zone. Checked twice because the offset can differ across a DST change.
+const zonedTime = (day, time, timeZone = "UTC") => {
+  const wallClock = Date.parse(`${day}T${time}:00Z`);
+  let instant = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  instant = wallClock - timeZoneOffset(new Date(instant), timeZone);
+  return new Date(instant);
+};
+
+// The instant local midnight of `day` happens in the zone
+const startOfDay = (day, timeZone = "UTC") => zonedTime(day, "00:00", timeZone);
+
+// Entry dates may be sent as a day ("2024-01-15") or as a full timestamp,
+// which is filed under the day it falls on in the user's time zone.
+// Returns null for anything else.
+const normalizeDay = (value, timeZone = "UTC") => {
+  if (typeof value !== "string") return null;
+  if (DATE_PATTERN.test(value)) return isValidDay(value) ? value : null;
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(value) || isNaN(Date.parse(value))) {
+    return null;
+  }
+  return dayInTimeZone(value, timeZone);
+};
+
+// An X-Timezone header or ?tz= overrides the user's saved time zone, which
+// defaults to UTC
+const requestTimeZone = (req) => {
+  const override = req.get("X-Timezone") || req.query.tz;
+  if (isValidTimeZone(override)) return override;
+  const saved = req.account?.preferences?.timezone;
+  return isValidTimeZone(saved) ? saved : "UTC";
+};
+
+module.exports = {
+  DATE_PATTERN,
+  MONTH_PATTERN,
+  isValidDay,
+  isValidTimeZone,
+  dayInTimeZone,
+  today,
+  timeInTimeZone,
+  addDays,
+  daysBetween,
+  weekdayOf,
+  startOfWeek,
+  zonedTime,
+  startOfDay,
+  normalizeDay,
+  requestTimeZone,
+};
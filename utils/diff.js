@@ -0,0 +1,66 @@
+// Minimal LCS diff used to compare entry revisions
+
+// Above this many token comparisons the diff falls back to a single
+// delete + insert instead of spending seconds on a huge table
+const MAX_CELLS = 4000000;
+
+const tokenizers = {
+  // Words with their trailing whitespace, so joining tokens restores the text
+  word: (text) => text.match(/\S+\s*|\s+/g) || [],
+  line: (text) => text.match(/[^\n]*\n|[^\n]+/g) || [],
+};
+
+// Consecutive tokens with the same op are merged into one part
+const pushPart = (parts, op, text) => {
+  const last = parts[parts.length - 1];
+  if (last && last.op === op) last.text += text;
+  else parts.push({ op, text });
+};
+
+// Returns [{ op: "equal" | "insert" | "delete", text }] turning `before`
+// into `after`
+const diffText = (before = "", after = "", granularity = "word") => {
+  const tokenize = tokenizers[granularity] || tokenizers.word;
+  const a = tokenize(before || "");
+  const b = tokenize(after || "");
+  const parts = [];
+
+  if (a.length * b.length > MAX_CELLS) {
+    if (before) pushPart(parts, "delete", before);
+    if (after) pushPart(parts, "insert", after);
+    return parts;
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushPart(parts, "equal", a[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushPart(parts, "delete", a[i++]);
+    } else {
+      pushPart(parts, "insert", b[j++]);
+    }
+  }
+  while (i < a.length) pushPart(parts, "delete", a[i++]);
+  while (j < b.length) pushPart(parts, "insert", b[j++]);
+  return parts;
+};
+
+module.exports = { diffText };
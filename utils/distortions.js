@@ -0,0 +1,146 @@
+// Offline cognitive distortion detection for overthinking thoughts. A small
+// lexicon of phrase patterns per distortion, matched case-insensitively on
+// word boundaries. It flags likely distortions for the user to reflect on;
+// it is not a diagnosis and will miss things and misfire now and then.
+
+const DISTORTIONS = {
+  catastrophizing: {
+    label: "Catastrophizing",
+    reframe:
+      "What is the most likely outcome, not the worst one? If the worst did happen, how would you cope?",
+    patterns: [
+      "worst[- ]case",
+      "the worst thing",
+      "disaster(?:ous)?",
+      "catastroph\\w*",
+      "ruin(?:ed|s)?",
+      "the end of (?:the world|everything|my life|my career)",
+      "(?:can't|cannot|couldn't|won't be able to) (?:handle|cope with|cope|survive|bear)",
+      "unbearable",
+      "nightmare",
+      "lose everything",
+      "everything (?:will|is going to|would) (?:fall apart|go wrong|collapse)",
+    ],
+  },
+  mind_reading: {
+    label: "Mind reading",
+    reframe:
+      "What evidence do you have for what they think? What else might they be thinking?",
+    patterns: [
+      "(?:they|he|she|everyone|everybody|people|nobody|my \\w+) (?:must |probably |definitely )?(?:thinks?|thought|believes?) (?:i'm|i am|i was|that i|of me|i'm not)",
+      "(?:they|he|she|everyone|people) (?:must|probably) (?:hate|be annoyed|be judging|be laughing|think)",
+      "(?:hates?|judging|laughing at|talking about) me",
+      "(?:is|are|was|were) (?:angry|mad|annoyed|upset|disappointed) (?:with|at) me",
+      "(?:doesn't|don't|didn't) (?:like|want|respect) me",
+    ],
+  },
+  all_or_nothing: {
+    label: "All-or-nothing thinking",
+    reframe:
+      "Is there a middle ground? What would a 'partly' or 'good enough' version of this look like?",
+    patterns: [
+      "(?:complete|total)(?:ly)? (?:failure|waste|disaster|mess|idiot)",
+      "(?:completely|totally) (?:useless|worthless|ruined|wrong)",
+      "useless",
+      "worthless",
+      "perfect(?:ly)?",
+      "ruined everything",
+      "all or nothing",
+      "either (?:\\w+ ){1,6}or",
+      "nothing (?:ever )?goes right",
+    ],
+  },
+  should_statements: {
+    label: "Should statements",
+    reframe:
+      "Who says it must be this way? Try swapping 'should' for 'I'd prefer' and notice how it feels.",
+    patterns: [
+      "should(?:n't| not| have|'ve)?",
+      "ought(?:n't)? to",
+      // "They must think..." is a guess, not a rule
+      "must(?:n't| not)?(?! (?:think|be|hate|know|feel|have been))",
+      "(?:am|is|are|was|were) supposed to",
+    ],
+  },
+  fortune_telling: {
+    label: "Fortune telling",
+    reframe:
+      "Are you predicting the future as if it were fact? What else could happen instead?",
+    patterns: [
+      "what if",
+      "(?:i'll|i will|it'll|it will|they'll|they will|he'll|she'll|this will|that will|things will) (?:never|fail|go wrong|get worse|be (?:a disaster|terrible|awful|bad|a mess))",
+      "(?:going to|gonna) (?:fail|go wrong|get worse|get fired|mess up|screw up|be (?:a disaster|terrible|awful|bad|a mess))",
+      "(?:won't|will not|isn't going to|is not going to) (?:work out|work|get better|end well)",
+      "(?:never|not) going to (?:\\w+ )?(?:work|get better|change|happen|be ok(?:ay)?)",
+      "(?:will|is going to|are going to) (?:hate|reject|leave|fire|dump) me",
+    ],
+  },
+  overgeneralization: {
+    label: "Overgeneralization",
+    reframe:
+      "Is it really always or never? Can you think of one time it went differently?",
+    patterns: [
+      "always",
+      "never",
+      "every (?:single )?time",
+      "everyone",
+      "everybody",
+      "no ?one",
+      "nobody",
+      "nothing ever",
+    ],
+  },
+};
+
+const DISTORTION_TYPES = Object.keys(DISTORTIONS);
+
+const MATCHERS = Object.fromEntries(
+  Object.entries(DISTORTIONS).map(([type, { patterns }]) => [
+    type,
+    new RegExp(`\\b(?:${patterns.join("|")})(?![\\w'])`, "gi"),
+  ])
+);
+
+// Curly apostrophes from phone keyboards would otherwise miss "can't" etc.
+const normalize = (text) => String(text || "").replace(/[‘’]/g, "'");
+
+// Every distortion found in `text` with the phrases that matched:
+// [{ type, label, matches, matchCount, reframe }]
+const detectDistortions = (text) => {
+  const normalized = normalize(text);
+  return DISTORTION_TYPES.flatMap((type) => {
+    const found = [...normalized.matchAll(MATCHERS[type])].map((m) =>
+      m[0].toLowerCase()
+    );
+    if (!found.length) return [];
+    return [
+      {
+        type,
+        label: DISTORTIONS[type].label,
+        matches: [...new Set(found)],
+        matchCount: found.length,
+        reframe: DISTORTIONS[type].reframe,
+      },
+    ];
+  });
+};
+
+// What gets stored on the entry. Matched phrases are left out because they
+// are pieces of the (possibly encrypted) thought.
+const distortionSummary = (text) =>
+  detectDistortions(text).map(({ type, matchCount }) => ({ type, matchCount }));
+
+// An entry as JSON with its distortions spelled out: matched phrases,
+// labels and reframing prompts, worked out from the decrypted thought
+const withDistortionDetails = (entry) => {
+  const json = entry.toJSON ? entry.toJSON() : entry;
+  return { ...json, distortions: detectDistortions(json.thought) };
+};
+
+module.exports = {
+  DISTORTIONS,
+  DISTORTION_TYPES,
+  detectDistortions,
+  distortionSummary,
+  withDistortionDetails,
+};
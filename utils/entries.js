@@ -0,0 +1,79 @@
+// Creating and editing entries, shared by the entry routes and offline
+// sync so both apply the same rules. Bodies are expected to have passed the
+// entry schemas in validators/.
+
+const { ENTRY_MODELS } = require("../models/entryModels");
+const { normalizeDay } = require("./dates");
+const { syncTodayCheckIn } = require("./streaks");
+
+// Fields a client may set when creating and when editing, per type.
+// Anything left out of a create gets the schema default.
+const ENTRY_FIELDS = {
+  journal: {
+    create: ["content", "tags", "mood"],
+    update: ["content", "tags", "mood"],
+  },
+  overthinking: {
+    create: ["thought", "solution", "category", "intensity", "tags"],
+    update: ["thought", "solution", "category", "intensity", "dumped", "tags"],
+  },
+  mistake: {
+    create: ["mistake", "solution", "category", "tags"],
+    update: ["mistake", "solution", "category", "avoided", "tags"],
+  },
+};
+
+const pick = (data, fields) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => data[field] !== undefined)
+      .map((field) => [field, data[field]])
+  );
+
+// A new, unsaved entry. `date` may be a day or a timestamp, which is filed
+// under its day in the user's time zone.
+const buildEntry = (type, userId, data, timeZone) =>
+  new ENTRY_MODELS[type]({
+    userId,
+    ...pick(data, ENTRY_FIELDS[type].create),
+    date: normalizeDay(data.date, timeZone),
+    clientId: data.clientId,
+  });
+
+// Sets the editable fields present in `data`; the rest stay as they are
+const applyEntryUpdate = (type, entry, data) => {
+  entry.set(pick(data, ENTRY_FIELDS[type].update));
+  return entry;
+};
+
+// Dumping releases a thought, which also takes it out of the review queue
+const dumpThought = (entry) => {
+  entry.set({ dumped: true, nextReviewAt: null });
+  return entry;
+};
+
+// Saves an entry after `data` was applied and keeps what depends on it in
+// step: sending a mistake's "avoided" flag also sets today's check-in.
+// Entries attached to a session (see utils/transactions) save in it.
+const saveEntry = async (type, entry, data, timeZone) => {
+  const saved = await entry.save();
+  if (type === "mistake" && data.avoided !== undefined) {
+    await syncTodayCheckIn(saved, timeZone, saved.$session());
+  }
+  return saved;
+};
+
+// The entry an offline client created under `clientId`, trashed or not
+const findByClientId = (type, userId, clientId) =>
+  ENTRY_MODELS[type]
+    .findOne({ userId, clientId })
+    .setOptions({ withDeleted: true });
+
+module.exports = {
+  ENTRY_FIELDS,
+  buildEntry,
+  applyEntryUpdate,
+  dumpThought,
+  saveEntry,
+  findByClientId,
+};
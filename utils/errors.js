@@ -0,0 +1,92 @@
+// Errors the API reports to clients. Every error response has the shape
+// { error, code, details? }: `error` is a readable message, `code` a stable
+// identifier clients can branch on and `details` lists field-level problems
+// as { field, message }.
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const validationError = (message, details) =>
+  new ApiError(400, "VALIDATION_FAILED", message, details);
+
+// A single invalid field, e.g. from a parser that returns { error }
+const invalidField = (field, message) =>
+  validationError(message, [{ field, message }]);
+
+const unauthorized = (message = "Unauthorized") =>
+  new ApiError(401, "UNAUTHORIZED", message);
+
+const forbidden = (message = "Forbidden") =>
+  new ApiError(403, "FORBIDDEN", message);
+
+const notFound = (message = "Not found") =>
+  new ApiError(404, "NOT_FOUND", message);
+
+const conflict = (message, code = "CONFLICT") =>
+  new ApiError(409, code, message);
+
+const DUPLICATE_KEY = 11000;
+
+// Maps anything thrown while handling a request to an ApiError. Mongoose
+// validation and cast errors and duplicate keys get their own codes; the
+// rest become a 500 whose message never reaches the client.
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (error?.name === "ValidationError" && error.errors) {
+    return validationError(
+      "Validation failed",
+      Object.values(error.errors).map((fieldError) => ({
+        field: fieldError.path,
+        message: fieldError.message,
+      }))
+    );
+  }
+
+  // A malformed id can't match any document, so it reads as not found
+  if (error?.name === "CastError") {
+    return error.kind === "ObjectId"
+      ? notFound()
+      : invalidField(error.path, `${error.path} is invalid`);
+  }
+
+  if (error?.code === DUPLICATE_KEY) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return new ApiError(
+      409,
+      "DUPLICATE",
+      fields.length
+        ? `A record with this ${fields.join(", ")} already exists`
+        : "Duplicate record",
+      fields.map((field) => ({ field, message: "already exists" }))
+    );
+  }
+
+  // Malformed JSON bodies, rejected by express.json()
+  if (error?.type === "entity.parse.failed") {
+    return new ApiError(400, "INVALID_JSON", "Request body is not valid JSON");
+  }
+  if (error?.type === "entity.too.large") {
+    return new ApiError(413, "PAYLOAD_TOO_LARGE", "Request body is too large");
+  }
+
+  return new ApiError(500, "INTERNAL", "Internal server error");
+};
+
+module.exports = {
+  ApiError,
+  validationError,
+  invalidField,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  toApiError,
+};
@@ -0,0 +1,195 @@
+// Streaming generators for the personal data export. Every generator pulls
+// documents from a MongoDB cursor one at a time, so memory use stays flat no
+// matter how many entries a user has.
+
+const User = require("../models/User");
+const { ENTRY_MODELS, ENTRY_TYPES } = require("../models/entryModels");
+
+const EXPORT_FORMAT = "mental-clarity-export";
+const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = {
+  journal: ["_id", "date", "mood", "tags", "content", "createdAt", "updatedAt"],
+  overthinking: [
+    "_id",
+    "date",
+    "category",
+    "intensity",
+    "dumped",
+    "tags",
+    "thought",
+    "solution",
+    "createdAt",
+    "updatedAt",
+  ],
+  mistake: [
+    "_id",
+    "date",
+    "category",
+    "avoided",
+    "tags",
+    "mistake",
+    "solution",
+    "createdAt",
+    "updatedAt",
+  ],
+};
+
+// File names inside the archive
+const CSV_FILES = {
+  journal: "csv/journal.csv",
+  overthinking: "csv/overthinking.csv",
+  mistake: "csv/mistakes.csv",
+};
+
+// Oldest first, matching how a diary reads
+const compareChronological = (a, b) => {
+  if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+async function* entriesOf(type, userId) {
+  const Model = ENTRY_MODELS[type];
+  const cursor = Model.find({ userId })
+    .sort({ date: 1, createdAt: 1 })
+    .lean()
+    .cursor();
+  for await (const doc of cursor) {
+    // Cursors bypass the decryption hooks that find() runs
+    yield { ...(await Model.decryptDocument(doc)), type };
+  }
+}
+
+// Merges already-sorted async iterables into one sorted stream while only
+// holding the current head of each source in memory.
+async function* mergeSorted(sources, compare) {
+  const iterators = sources.map((source) => source[Symbol.asyncIterator]());
+  const heads = await Promise.all(iterators.map((it) => it.next()));
+
+  while (true) {
+    let next = -1;
+    heads.forEach((head, index) => {
+      if (head.done) return;
+      if (next === -1 || compare(head.value, heads[next].value) < 0) {
+        next = index;
+      }
+    });
+    if (next === -1) return;
+    yield heads[next].value;
+    heads[next] = await iterators[next].next();
+  }
+}
+
+const loadProfile = async (userId) => {
+  const user = await User.findOne({ firebaseUid: userId }).lean();
+  if (!user) return null;
+  const { __v, ...profile } = user;
+  return profile;
+};
+
+async function* jsonBundle(userId) {
+  const profile = await loadProfile(userId);
+  yield `{"format":${JSON.stringify(EXPORT_FORMAT)},"version":${EXPORT_VERSION},`;
+  yield `"exportedAt":${JSON.stringify(new Date().toISOString())},`;
+  yield `"user":${JSON.stringify(profile)}`;
+
+  for (const type of ENTRY_TYPES) {
+    yield `,${JSON.stringify(type)}:[`;
+    let first = true;
+    for await (const entry of entriesOf(type, userId)) {
+      yield `${first ? "" : ","}${JSON.stringify(entry)}`;
+      first = false;
+    }
+    yield "]";
+  }
+  yield "}\n";
+}
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  let text;
+  if (Array.isArray(value)) text = value.join("; ");
+  else if (value instanceof Date) text = value.toISOString();
+  else text = String(value);
+  // Keep spreadsheet apps from evaluating user text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+async function* csvRows(type, userId) {
+  const columns = CSV_COLUMNS[type];
+  yield `${columns.join(",")}\r\n`;
+  for await (const entry of entriesOf(type, userId)) {
+    yield `${columns.map((column) => csvCell(entry[column])).join(",")}\r\n`;
+  }
+}
+
+const tagLine = (tags) =>
+  tags?.length ? `\n\n_Tags: ${tags.map((tag) => `#${tag}`).join(" ")}_` : "";
+
+const HAPPENED = {
+  no: "didn't happen",
+  partly: "partly happened",
+  yes: "happened",
+};
+
+const outcomeLine = (outcome) =>
+  outcome?.recordedAt
+    ? `\n\n**Outcome:** ${HAPPENED[outcome.happened]}` +
+      `${
+        outcome.actualSeverity ? `, severity ${outcome.actualSeverity}/10` : ""
+      }` +
+      `${outcome.notes ? ` · ${outcome.notes}` : ""}`
+    : "";
+
+const renderMarkdownEntry = (entry) => {
+  switch (entry.type) {
+    case "journal":
+      return `### Journal · mood: ${entry.mood}\n\n${entry.content}${tagLine(entry.tags)}`;
+    case "overthinking":
+      return (
+        `### Overthinking · ${entry.category} · intensity ${entry.intensity}/10` +
+        `${entry.dumped ? " · released" : ""}\n\n${entry.thought}` +
+        `${entry.solution ? `\n\n**Solution:** ${entry.solution}` : ""}` +
+        outcomeLine(entry.outcome) +
+        tagLine(entry.tags)
+      );
+    case "mistake":
+      return (
+        `### Mistake · ${entry.category}${entry.avoided ? " · avoided" : ""}` +
+        `\n\n${entry.mistake}\n\n**Lesson:** ${entry.solution}` +
+        tagLine(entry.tags)
+      );
+    default:
+      return "";
+  }
+};
+
+async function* markdownDiary(userId) {
+  const profile = await loadProfile(userId);
+  yield `# ${profile?.name ? `${profile.name}'s` : "My"} Mental Clarity diary\n\n`;
+  yield `_Exported ${new Date().toISOString()}_\n`;
+
+  let currentDate = null;
+  const entries = mergeSorted(
+    ENTRY_TYPES.map((type) => entriesOf(type, userId)),
+    compareChronological
+  );
+  for await (const entry of entries) {
+    if (entry.date !== currentDate) {
+      currentDate = entry.date;
+      yield `\n## ${currentDate}\n`;
+    }
+    yield `\n${renderMarkdownEntry(entry)}\n`;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  CSV_FILES,
+  jsonBundle,
+  csvRows,
+  markdownDiary,
+  mergeSorted,
+};
@@ -0,0 +1,235 @@
+// Field-level encryption with envelope keys: entry text is encrypted with a
+// per-user data key (AES-256-GCM), and data keys are stored wrapped by the
+// master key from ENCRYPTION_MASTER_KEY. Without a master key configured,
+// nothing is encrypted and entries are stored as plaintext.
+
+const crypto = require("crypto");
+const DataKey = require("../models/DataKey");
+const { tokenize } = require("./text");
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const ACTIVE_KEY_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHED_KEYS = 5000;
+
+let masterKeys = null;
+
+const parseMasterKey = (value) => {
+  const key = Buffer.from(value.trim(), "base64");
+  if (key.length !== 32) {
+    throw new Error("Encryption master keys must be 32 bytes, base64-encoded");
+  }
+  return {
+    id: crypto.createHash("sha256").update(key).digest("hex").slice(0, 16),
+    key,
+  };
+};
+
+// Read lazily so dotenv has loaded. Previous master keys are only used to
+// unwrap data keys that have not been re-wrapped after a rotation yet.
+const loadMasterKeys = () => {
+  if (masterKeys) return masterKeys;
+  const current = process.env.ENCRYPTION_MASTER_KEY
+    ? parseMasterKey(process.env.ENCRYPTION_MASTER_KEY)
+    : null;
+  const previous = (process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS || "")
+    .split(",")
+    .filter((value) => value.trim())
+    .map(parseMasterKey);
+
+  masterKeys = {
+    current,
+    byId: new Map([current, ...previous].filter(Boolean).map((m) => [m.id, m])),
+  };
+  return masterKeys;
+};
+
+const isEncryptionEnabled = () => Boolean(loadMasterKeys().current);
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(PREFIX);
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64"))
+    .join(":");
+};
+
+const open = (key, sealed, aad) => {
+  const [iv, tag, ciphertext] = sealed
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+// Binds a wrapped key to its owner so records can't be swapped between users
+const wrapAad = ({ userId, purpose, version }) =>
+  `${userId}:${purpose}:${version}`;
+
+// Unwrapped keys never change for a given version, so they are cached until
+// the cache fills up. Active versions are re-read periodically so a rotation
+// run from another process is picked up.
+const keyCache = new Map();
+const activeVersions = new Map();
+
+const cacheKey = (userId, purpose, version) =>
+  `${purpose}:${version}:${userId}`;
+
+const remember = (record, key) => {
+  if (keyCache.size >= MAX_CACHED_KEYS) {
+    keyCache.delete(keyCache.keys().next().value);
+  }
+  keyCache.set(cacheKey(record.userId, record.purpose, record.version), key);
+  return key;
+};
+
+const unwrap = (record) => {
+  const master = loadMasterKeys().byId.get(record.masterKeyId);
+  if (!master) {
+    throw new Error(
+      `Master key ${record.masterKeyId} is not configured; add it to ENCRYPTION_PREVIOUS_MASTER_KEYS`
+    );
+  }
+  return open(master.key, record.wrappedKey, wrapAad(record));
+};
+
+const createKeyRecord = async (userId, purpose, version) => {
+  const { current } = loadMasterKeys();
+  if (!current) throw new Error("ENCRYPTION_MASTER_KEY is not configured");
+  const key = crypto.randomBytes(32);
+  const record = await DataKey.create({
+    userId,
+    purpose,
+    version,
+    wrappedKey: seal(current.key, key, wrapAad({ userId, purpose, version })),
+    masterKeyId: current.id,
+    active: true,
+  });
+  remember(record, key);
+  return record;
+};
+
+const getKey = async (userId, version, purpose = "data") => {
+  const cached = keyCache.get(cacheKey(userId, purpose, version));
+  if (cached) return cached;
+  const record = await DataKey.findOne({ userId, purpose, version });
+  if (!record) {
+    throw new Error(`Missing ${purpose} key v${version} for user ${userId}`);
+  }
+  return remember(record, unwrap(record));
+};
+
+// The key new ciphertext is written with; created on first use
+const getActiveKey = async (userId, purpose = "data") => {
+  const activeId = `${purpose}:${userId}`;
+  const cached = activeVersions.get(activeId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return {
+      version: cached.version,
+      key: await getKey(userId, cached.version, purpose),
+    };
+  }
+
+  let record = await DataKey.findOne({ userId, purpose, active: true }).sort({
+    version: -1,
+  });
+  if (!record) {
+    try {
+      record = await createKeyRecord(userId, purpose, 1);
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) throw error;
+      record = await DataKey.findOne({ userId, purpose, version: 1 });
+    }
+  }
+
+  activeVersions.set(activeId, {
+    version: record.version,
+    expiresAt: Date.now() + ACTIVE_KEY_TTL_MS,
+  });
+  return {
+    version: record.version,
+    key: await getKey(userId, record.version, purpose),
+  };
+};
+
+const encryptValue = async (userId, value) => {
+  if (value === undefined || value === null || value === "") return value;
+  if (isEncrypted(value)) return value;
+  const { version, key } = await getActiveKey(userId);
+  return `${PREFIX}${version}:${seal(key, String(value), userId)}`;
+};
+
+const decryptValue = async (userId, value) => {
+  if (!isEncrypted(value)) return value;
+  const rest = value.slice(PREFIX.length);
+  const separator = rest.indexOf(":");
+  const version = parseInt(rest.slice(0, separator));
+  const key = await getKey(userId, version);
+  return open(key, rest.slice(separator + 1), userId).toString("utf8");
+};
+
+// Keyed hashes of every word in the given texts. Stored next to the
+// ciphertext, they let search match whole words without the server keeping
+// any plaintext.
+const blindIndexTokens = async (userId, texts) => {
+  const { key } = await getActiveKey(userId, "index");
+  const words = new Set(texts.flatMap((text) => tokenize(text || "")));
+  return [...words].map((word) =>
+    crypto.createHmac("sha256", key).update(word).digest("hex").slice(0, 16)
+  );
+};
+
+// Re-wraps every data key still wrapped by an old master key. Returns the
+// number of keys updated.
+const rotateMasterKey = async () => {
+  const { current } = loadMasterKeys();
+  if (!current) throw new Error("ENCRYPTION_MASTER_KEY is not configured");
+
+  let rotated = 0;
+  const cursor = DataKey.find({ masterKeyId: { $ne: current.id } }).cursor();
+  for await (const record of cursor) {
+    const key = unwrap(record);
+    record.wrappedKey = seal(current.key, key, wrapAad(record));
+    record.masterKeyId = current.id;
+    await record.save();
+    rotated += 1;
+  }
+  return rotated;
+};
+
+// Issues a new data key version for a user. Older versions stay available
+// for decryption until their entries have been re-encrypted.
+const rotateDataKey = async (userId) => {
+  const latest = await DataKey.findOne({ userId, purpose: "data" }).sort({
+    version: -1,
+  });
+  await DataKey.updateMany(
+    { userId, purpose: "data", active: true },
+    { active: false }
+  );
+  const record = await createKeyRecord(
+    userId,
+    "data",
+    (latest?.version || 0) + 1
+  );
+  activeVersions.delete(`data:${userId}`);
+  return record.version;
+};
+
+module.exports = {
+  isEncryptionEnabled,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  blindIndexTokens,
+  rotateMasterKey,
+  rotateDataKey,
+};
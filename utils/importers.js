@@ -0,0 +1,330 @@
+// Import pipeline: parse a bundle into candidate records, validate them
+// against the entry models, drop duplicates and (unless previewing) insert
+// what is left.
+
+const crypto = require("crypto");
+const { ENTRY_MODELS } = require("../models/entryModels");
+const { EXPORT_FORMAT } = require("./export");
+const { DATE_PATTERN, isValidDay, dayInTimeZone } = require("./dates");
+
+const FORMATS = ["native", "dayone", "markdown"];
+const MAX_RECORDS = 10000;
+const INSERT_BATCH_SIZE = 500;
+
+// Fields an import may set; anything else in the source is ignored
+const IMPORT_FIELDS = {
+  journal: ["content", "date", "tags", "mood", "createdAt"],
+  overthinking: [
+    "thought",
+    "solution",
+    "date",
+    "category",
+    "intensity",
+    "dumped",
+    "tags",
+    "createdAt",
+  ],
+  mistake: [
+    "mistake",
+    "solution",
+    "category",
+    "date",
+    "avoided",
+    "tags",
+    "createdAt",
+  ],
+};
+
+// The text that identifies an entry for de-duplication
+const CONTENT_FIELDS = {
+  journal: ["content"],
+  overthinking: ["thought"],
+  mistake: ["mistake"],
+};
+
+const HASHTAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+const pick = (source, fields) =>
+  fields.reduce((acc, field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      acc[field] = source[field];
+    }
+    return acc;
+  }, {});
+
+// This server's own export.json
+const parseNative = (bundle) => {
+  if (bundle?.format !== EXPORT_FORMAT) {
+    throw new Error(`Not a ${EXPORT_FORMAT} bundle`);
+  }
+  return Object.keys(IMPORT_FIELDS).flatMap((type) =>
+    (Array.isArray(bundle[type]) ? bundle[type] : []).map((item, i) => ({
+      source: `${type}[${i}]`,
+      type,
+      data: pick(item || {}, IMPORT_FIELDS[type]),
+    }))
+  );
+};
+
+// Day One's JSON export ("Journal.json"); entries become journal entries
+// filed under the day they were written in their own time zone.
+const parseDayOne = (bundle) => {
+  if (!Array.isArray(bundle?.entries)) {
+    throw new Error("Not a Day One export: missing entries array");
+  }
+  return bundle.entries.map((item, i) => {
+    const source = `entries[${i}]`;
+    const created = new Date(item?.creationDate);
+    if (!item?.creationDate || isNaN(created)) {
+      return {
+        source,
+        type: "journal",
+        error: "Missing or invalid creationDate",
+      };
+    }
+
+    let date;
+    try {
+      date = dayInTimeZone(created, item.timeZone || "UTC");
+    } catch (error) {
+      date = dayInTimeZone(created);
+    }
+
+    return {
+      source,
+      type: "journal",
+      data: {
+        content: typeof item.text === "string" ? item.text.trim() : item.text,
+        date,
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        createdAt: created,
+      },
+    };
+  });
+};
+
+// A folder of Markdown files, one per day, sent as
+// { files: [{ name: "2024-01-15.md", content }] }. The day comes from the
+// file name and #hashtags in the text become tags.
+const parseMarkdown = (bundle) => {
+  if (!Array.isArray(bundle?.files)) {
+    throw new Error("Markdown import expects a files array");
+  }
+  return bundle.files.map((file, i) => {
+    const source = file?.name || `files[${i}]`;
+    const date = String(file?.name || "")
+      .split("/")
+      .pop()
+      .slice(0, 10);
+    if (!DATE_PATTERN.test(date)) {
+      return {
+        source,
+        type: "journal",
+        error: "File name must start with the entry date (YYYY-MM-DD)",
+      };
+    }
+
+    const content = typeof file.content === "string" ? file.content.trim() : "";
+    const tags = [...content.matchAll(HASHTAG_PATTERN)].map((m) => m[1]);
+    return {
+      source,
+      type: "journal",
+      data: { content, date, tags: [...new Set(tags)] },
+    };
+  });
+};
+
+const PARSERS = {
+  native: parseNative,
+  dayone: parseDayOne,
+  markdown: parseMarkdown,
+};
+
+const detectFormat = (bundle) => {
+  if (bundle?.format === EXPORT_FORMAT) return "native";
+  if (Array.isArray(bundle?.entries)) return "dayone";
+  if (Array.isArray(bundle?.files)) return "markdown";
+  return null;
+};
+
+const fingerprint = (type, data) => {
+  const text = CONTENT_FIELDS[type]
+    .map((field) =>
+      String(data[field] ?? "")
+        .replace(/\s+/g, " ")
+        .trim()
+    )
+    .join("\n");
+  return crypto
+    .createHash("sha256")
+    .update(`${type}\n${data.date}\n${text.toLowerCase()}`)
+    .digest("hex");
+};
+
+const validationErrors = (doc) => {
+  const result = doc.validateSync();
+  if (!result) return [];
+  return Object.values(result.errors).map((err) => ({
+    field: err.path,
+    message: err.message,
+  }));
+};
+
+// Hashes of what the user already has on the dates being imported
+const existingFingerprints = async (userId, records) => {
+  const seen = new Set();
+  for (const type of Object.keys(ENTRY_MODELS)) {
+    const dates = [
+      ...new Set(
+        records.filter((r) => r.type === type).map((r) => r.data.date)
+      ),
+    ];
+    if (!dates.length) continue;
+    const existing = await ENTRY_MODELS[type]
+      .find({ userId, date: { $in: dates } })
+      // userId is needed to decrypt the content fields
+      .select([...CONTENT_FIELDS[type], "date", "userId"].join(" "));
+    existing.forEach((doc) => seen.add(fingerprint(type, doc)));
+  }
+  return seen;
+};
+
+// Throws when the bundle does not match the format; the message is safe to
+// show to the user
+const parseBundle = (format, bundle) => {
+  const records = PARSERS[format](bundle);
+  if (records.length > MAX_RECORDS) {
+    throw new Error(`Imports are limited to ${MAX_RECORDS} records`);
+  }
+  return records;
+};
+
+// Inserts one batch without stopping at the first failure. Returns the
+// documents that were not saved, mapped to the reason reported for them.
+const insertBatch = async (Model, docs) => {
+  let inserted;
+  let writeErrors = [];
+  try {
+    inserted = await Model.insertMany(docs, { ordered: false });
+  } catch (error) {
+    inserted = error.insertedDocs || [];
+    writeErrors = error.writeErrors || [];
+    if (!error.writeErrors) {
+      console.error(
+        `[import] batch insert failed for ${Model.modelName}`,
+        error
+      );
+    }
+  }
+
+  const saved = new Set(inserted);
+  const failed = new Map();
+  docs.forEach((doc, index) => {
+    if (saved.has(doc)) return;
+    const writeError = writeErrors.find((err) => err.index === index);
+    const code = writeError?.code ?? writeError?.err?.code;
+    failed.set(
+      doc,
+      code === 11000
+        ? "Entry conflicts with one that already exists"
+        : "Entry could not be saved"
+    );
+  });
+  return failed;
+};
+
+// `reserveEntry` is an entryQuotaCounter(); records past the monthly quota
+// are reported as over_quota instead of created
+const runImport = async ({ userId, records, format, dryRun, reserveEntry }) => {
+  const report = records.map((record, index) => ({
+    index,
+    source: record.source,
+    type: record.type,
+    date: record.data?.date,
+    status: "invalid",
+    errors: record.error ? [{ field: null, message: record.error }] : [],
+  }));
+
+  const candidates = [];
+  records.forEach((record, index) => {
+    if (record.error) return;
+    if (record.data.date && !isValidDay(record.data.date)) {
+      report[index].errors.push({
+        field: "date",
+        message: "Date must be a valid YYYY-MM-DD day",
+      });
+      return;
+    }
+    const doc = new ENTRY_MODELS[record.type]({ ...record.data, userId });
+    const errors = validationErrors(doc);
+    if (errors.length) {
+      report[index].errors = errors;
+      return;
+    }
+    candidates.push({ index, type: record.type, doc });
+  });
+
+  const seen = await existingFingerprints(
+    userId,
+    candidates.map((c) => ({ type: c.type, data: c.doc }))
+  );
+  const toInsert = [];
+  for (const candidate of candidates) {
+    const hash = fingerprint(candidate.type, candidate.doc);
+    if (seen.has(hash)) {
+      report[candidate.index].status = "duplicate";
+      continue;
+    }
+    seen.add(hash);
+    if (!(await reserveEntry())) {
+      report[candidate.index].status = "over_quota";
+      report[candidate.index].errors.push({
+        field: null,
+        message: "Monthly entry limit reached",
+      });
+      continue;
+    }
+    report[candidate.index].status = dryRun ? "would_create" : "created";
+    toInsert.push(candidate);
+  }
+
+  if (!dryRun) {
+    for (const type of Object.keys(ENTRY_MODELS)) {
+      const batch = toInsert.filter((c) => c.type === type);
+      for (let i = 0; i < batch.length; i += INSERT_BATCH_SIZE) {
+        const slice = batch.slice(i, i + INSERT_BATCH_SIZE);
+        const failed = await insertBatch(
+          ENTRY_MODELS[type],
+          slice.map((c) => c.doc)
+        );
+        for (const candidate of slice) {
+          if (!failed.has(candidate.doc)) continue;
+          report[candidate.index].status = "failed";
+          report[candidate.index].errors.push({
+            field: null,
+            message: failed.get(candidate.doc),
+          });
+        }
+      }
+    }
+  }
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+  return {
+    format,
+    dryRun,
+    summary: {
+      total: report.length,
+      [dryRun ? "wouldCreate" : "created"]: count(
+        dryRun ? "would_create" : "created"
+      ),
+      failed: count("failed"),
+      duplicates: count("duplicate"),
+      overQuota: count("over_quota"),
+      invalid: count("invalid"),
+    },
+    records: report,
+  };
+};
+
+module.exports = { FORMATS, detectFormat, parseBundle, runImport };
@@ -0,0 +1,268 @@
+// Shared filtering, sorting and pagination for the journal, overthinking
+// and mistake list routes.
+//
+// Pages are keyset-based: the response's `nextCursor` resumes after the last
+// entry, so deep pages cost the same as the first. `page` still works for
+// older clients but skips through every earlier entry to get there.
+
+const mongoose = require("mongoose");
+const { isValidDay } = require("./dates");
+const { MOODS } = require("./mood");
+const { DISTORTION_TYPES } = require("./distortions");
+const { encodeCursor, decodeCursor } = require("./cursor");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const DEFAULT_SORT = "-createdAt";
+
+// Filters each type supports on top of date, from, to and tags
+const TYPE_FILTERS = {
+  journal: ["mood"],
+  overthinking: ["category", "intensity", "dumped", "distortion"],
+  mistake: ["category", "avoided"],
+};
+
+const SORT_FIELDS = {
+  journal: ["createdAt", "updatedAt", "date"],
+  overthinking: ["createdAt", "updatedAt", "date", "intensity"],
+  mistake: ["createdAt", "updatedAt", "date"],
+};
+
+// Fields holding Date values, which cursors carry as ISO strings
+const DATE_FIELDS = ["createdAt", "updatedAt"];
+
+const splitList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parseBoolean = (value) =>
+  value === "true" ? true : value === "false" ? false : null;
+
+const parseIntensity = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 && number <= 10
+    ? number
+    : null;
+};
+
+// "-date" sorts by date, newest first; "intensity" lowest first
+const parseSort = (type, value = DEFAULT_SORT) => {
+  const direction = String(value).startsWith("-") ? -1 : 1;
+  const field = String(value).replace(/^-/, "");
+  return SORT_FIELDS[type].includes(field) ? { field, direction } : null;
+};
+
+// The sort as it was requested, stored in cursors so one can't be reused
+// under a different order
+const sortKey = ({ field, direction }) =>
+  `${direction === -1 ? "-" : ""}${field}`;
+
+// Matches everything strictly after the cursor position in sort order, with
+// _id breaking ties between entries sharing a value
+const afterPosition = ({ field, direction }, { value, id }) => {
+  const op = direction === -1 ? "$lt" : "$gt";
+  const _id = new mongoose.Types.ObjectId(id);
+  return {
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: _id } }],
+  };
+};
+
+// Turns the request's query string into { filter, sort, limit, position,
+// page }, or { error, field } when something in it is invalid
+const parseListQuery = (type, query) => {
+  const filters = TYPE_FILTERS[type];
+  const filter = {};
+  const {
+    date,
+    from,
+    to,
+    tags,
+    tagMatch = "all",
+    mood,
+    category,
+    minIntensity,
+    maxIntensity,
+    dumped,
+    avoided,
+    distortion,
+    sort,
+    limit,
+    page,
+    cursor,
+  } = query;
+
+  if (date) {
+    if (!isValidDay(date)) {
+      return { error: "date must be in YYYY-MM-DD format", field: "date" };
+    }
+    filter.date = date;
+  } else if (from || to) {
+    if ((from && !isValidDay(from)) || (to && !isValidDay(to))) {
+      return {
+        error: "from and to must be dates in YYYY-MM-DD format",
+        field: from && !isValidDay(from) ? "from" : "to",
+      };
+    }
+    if (from && to && from > to) {
+      return { error: "from must not be after to", field: "from" };
+    }
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+
+  if (tags) {
+    if (!["any", "all"].includes(tagMatch)) {
+      return { error: "tagMatch must be any or all", field: "tagMatch" };
+    }
+    const tagList = splitList(tags).map((tag) => tag.toLowerCase());
+    if (tagList.length) {
+      filter.tags = tagMatch === "any" ? { $in: tagList } : { $all: tagList };
+    }
+  }
+
+  if (mood && filters.includes("mood")) {
+    const moods = splitList(mood);
+    const unknown = moods.filter((value) => !MOODS.includes(value));
+    if (unknown.length) {
+      return {
+        error: `mood must be one of: ${MOODS.join(", ")}`,
+        field: "mood",
+      };
+    }
+    filter.mood = { $in: moods };
+  }
+
+  if (category && filters.includes("category")) {
+    filter.category = { $in: splitList(category) };
+  }
+
+  if ((minIntensity || maxIntensity) && filters.includes("intensity")) {
+    const min = minIntensity ? parseIntensity(minIntensity) : 1;
+    const max = maxIntensity ? parseIntensity(maxIntensity) : 10;
+    if (min === null || max === null || min > max) {
+      return {
+        error: "minIntensity and maxIntensity must be whole numbers 1-10",
+        field: min === null ? "minIntensity" : "maxIntensity",
+      };
+    }
+    filter.intensity = { $gte: min, $lte: max };
+  }
+
+  for (const [name, value] of [
+    ["dumped", dumped],
+    ["avoided", avoided],
+  ]) {
+    if (value === undefined || !filters.includes(name)) continue;
+    const flag = parseBoolean(value);
+    if (flag === null) {
+      return { error: `${name} must be true or false`, field: name };
+    }
+    filter[name] = flag;
+  }
+
+  if (distortion && filters.includes("distortion")) {
+    if (!DISTORTION_TYPES.includes(distortion)) {
+      return {
+        error: `distortion must be one of: ${DISTORTION_TYPES.join(", ")}`,
+        field: "distortion",
+      };
+    }
+    filter["distortions.type"] = distortion;
+  }
+
+  const sortSpec = parseSort(type, sort);
+  if (!sortSpec) {
+    return {
+      error: `sort must be one of: ${SORT_FIELDS[type]
+        .map((field) => `${field}, -${field}`)
+        .join(", ")}`,
+      field: "sort",
+    };
+  }
+
+  const pageSize = Math.min(
+    Math.max(parseInt(limit) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  let position = null;
+  if (cursor) {
+    position = decodeCursor(cursor);
+    if (
+      !position ||
+      position.sort !== sortKey(sortSpec) ||
+      !["string", "number"].includes(typeof position.value) ||
+      !mongoose.isValidObjectId(position.id)
+    ) {
+      return { error: "Invalid cursor", field: "cursor" };
+    }
+    if (DATE_FIELDS.includes(sortSpec.field)) {
+      position.value = new Date(position.value);
+      if (isNaN(position.value))
+        return { error: "Invalid cursor", field: "cursor" };
+    }
+  }
+
+  return {
+    filter,
+    sort: sortSpec,
+    limit: pageSize,
+    position,
+    page: position ? null : Math.max(parseInt(page) || 1, 1),
+  };
+};
+
+// Runs a parsed list query for one user. With a cursor only the next page
+// is fetched; without one the legacy page fields, which need a count, are
+// included as well.
+const runListQuery = async (Model, baseFilter, options) => {
+  const { filter, sort, limit, position, page } = options;
+  const query = { ...baseFilter, ...filter };
+  if (position) query.$and = [afterPosition(sort, position)];
+
+  let finder = Model.find(query)
+    .sort({ [sort.field]: sort.direction, _id: sort.direction })
+    .limit(limit + 1);
+  if (page > 1) finder = finder.skip((page - 1) * limit);
+
+  const [docs, total] = await Promise.all([
+    finder,
+    position ? null : Model.countDocuments(query),
+  ]);
+
+  const entries = docs.slice(0, limit);
+  const hasMore = docs.length > limit;
+  const last = entries[entries.length - 1];
+  const pagination = {
+    limit,
+    hasMore,
+    nextCursor:
+      hasMore && last
+        ? encodeCursor({
+            sort: sortKey(sort),
+            value: last.get(sort.field),
+            id: last._id.toString(),
+          })
+        : null,
+  };
+  if (!position) {
+    Object.assign(pagination, {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalEntries: total,
+    });
+  }
+
+  return { entries, pagination };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_FIELDS,
+  parseListQuery,
+  runListQuery,
+};
@@ -0,0 +1,40 @@
+// Journal moods on a 1-5 scale so they can be averaged and compared
+
+const MOOD_SCALE = {
+  very_sad: 1,
+  sad: 2,
+  neutral: 3,
+  happy: 4,
+  very_happy: 5,
+};
+
+const MOODS = Object.keys(MOOD_SCALE);
+
+const moodScore = (mood) => MOOD_SCALE[mood] ?? null;
+
+// The mood closest to a score, e.g. 3.6 -> "happy"
+const moodForScore = (score) => {
+  if (score === null || score === undefined) return null;
+  const rounded = Math.min(5, Math.max(1, Math.round(score)));
+  return MOODS.find((mood) => MOOD_SCALE[mood] === rounded);
+};
+
+// $switch branches that turn the mood field into its score inside an
+// aggregation pipeline
+const moodScoreExpression = (field = "$mood") => ({
+  $switch: {
+    branches: MOODS.map((mood) => ({
+      case: { $eq: [field, mood] },
+      then: MOOD_SCALE[mood],
+    })),
+    default: null,
+  },
+});
+
+module.exports = {
+  MOOD_SCALE,
+  MOODS,
+  moodScore,
+  moodForScore,
+  moodScoreExpression,
+};
@@ -0,0 +1,113 @@
+// Push notification delivery. The transport is picked with
+// NOTIFICATION_TRANSPORT: "fcm" (the default) sends through Firebase Cloud
+// Messaging, "fake" only records and logs what would have been sent, for
+// local development. A transport is any object with
+// send(tokens, notification) resolving to [{ token, success, error }].
+
+const DeviceToken = require("../models/DeviceToken");
+
+// FCM accepts at most this many tokens per multicast
+const MULTICAST_LIMIT = 500;
+
+// Errors meaning the token will never work again
+const STALE_TOKEN_ERRORS = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+const fcmTransport = {
+  name: "fcm",
+  send: async (tokens, { title, body, data = {} }) => {
+    // Loaded lazily so the fake transport works without Firebase credentials
+    const admin = require("../firebase");
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      // FCM data values must be strings
+      data: Object.fromEntries(
+        Object.entries(data).map(([key, value]) => [key, String(value)])
+      ),
+    });
+    return response.responses.map((result, i) => ({
+      token: tokens[i],
+      success: result.success,
+      error: result.error?.code,
+    }));
+  },
+};
+
+const createFakeTransport = () => {
+  const sent = [];
+  return {
+    name: "fake",
+    sent,
+    send: async (tokens, notification) => {
+      sent.push({ tokens, notification, sentAt: new Date() });
+      console.log(
+        `[notifications] fake send to ${tokens.length} device(s):`,
+        notification.title
+      );
+      return tokens.map((token) => ({ token, success: true }));
+    },
+  };
+};
+
+const TRANSPORTS = {
+  fcm: () => fcmTransport,
+  fake: createFakeTransport,
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.NOTIFICATION_TRANSPORT || "fcm";
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown NOTIFICATION_TRANSPORT: ${name}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with a fake in tests
+const setTransport = (next) => {
+  transport = next;
+};
+
+// Sends a notification to every registered device of a user. Tokens FCM
+// reports as dead are unregistered. Returns delivery counts.
+const sendToUser = async (userId, notification) => {
+  const devices = await DeviceToken.find({ userId }).select("token").lean();
+  const tokens = devices.map((device) => device.token);
+  const counts = { devices: tokens.length, successCount: 0, failureCount: 0 };
+
+  const stale = [];
+  for (let i = 0; i < tokens.length; i += MULTICAST_LIMIT) {
+    const results = await getTransport().send(
+      tokens.slice(i, i + MULTICAST_LIMIT),
+      notification
+    );
+    for (const result of results) {
+      if (result.success) {
+        counts.successCount += 1;
+      } else {
+        counts.failureCount += 1;
+        if (STALE_TOKEN_ERRORS.includes(result.error)) stale.push(result.token);
+      }
+    }
+  }
+
+  if (stale.length) {
+    await DeviceToken.deleteMany({ token: { $in: stale } });
+  }
+  return counts;
+};
+
+module.exports = {
+  TRANSPORTS,
+  getTransport,
+  setTransport,
+  createFakeTransport,
+  sendToUser,
+};
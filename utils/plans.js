@@ -0,0 +1,107 @@
+// Subscription plans and what each one is entitled to
+
+const { ENTRY_MODELS } = require("../models/entryModels");
+const { today, startOfDay } = require("./dates");
+
+const TRIAL_PERIOD_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// entriesPerMonth counts journal, overthinking and mistake entries together;
+// null means unlimited. "expired" applies once a trial ends or a paid
+// subscription lapses.
+const PLANS = {
+  trial: {
+    entriesPerMonth: 100,
+    features: { stats: true, insights: false, export: true, import: true },
+  },
+  basic: {
+    entriesPerMonth: 300,
+    features: { stats: true, insights: false, export: true, import: true },
+  },
+  premium: {
+    entriesPerMonth: null,
+    features: { stats: true, insights: true, export: true, import: true },
+  },
+  expired: {
+    entriesPerMonth: 0,
+    // Users can always take their data with them
+    features: { stats: false, insights: false, export: true, import: false },
+  },
+};
+
+const trialEndOf = (user) => {
+  const { trialStart, trialEnd } = user.subscription || {};
+  if (trialEnd) return new Date(trialEnd);
+  const start = trialStart || user.createdAt;
+  return start
+    ? new Date(new Date(start).getTime() + TRIAL_PERIOD_DAYS * DAY_MS)
+    : null;
+};
+
+const getEntitlements = (user, now = new Date()) => {
+  const plan = user.subscription?.plan || "trial";
+  let status;
+  let trialEndsAt = null;
+  let trialDaysRemaining = null;
+
+  if (plan === "trial") {
+    trialEndsAt = trialEndOf(user);
+    const remainingMs = trialEndsAt ? trialEndsAt - now : 0;
+    trialDaysRemaining = Math.max(0, Math.ceil(remainingMs / DAY_MS));
+    status = remainingMs > 0 ? "trialing" : "expired";
+  } else {
+    status = user.subscription?.isActive ? "active" : "expired";
+  }
+
+  const effectivePlan = status === "expired" ? "expired" : plan;
+  return {
+    plan,
+    effectivePlan,
+    status,
+    trialEndsAt,
+    trialDaysRemaining,
+    entriesPerMonth: PLANS[effectivePlan].entriesPerMonth,
+    features: PLANS[effectivePlan].features,
+  };
+};
+
+// The instant the current month began in the user's time zone
+const startOfMonth = (timeZone = "UTC") =>
+  startOfDay(`${today(timeZone).slice(0, 7)}-01`, timeZone);
+
+// Entries of every type the user has created since the month started
+const countEntriesThisMonth = async (userId, timeZone = "UTC") => {
+  const since = startOfMonth(timeZone);
+  const counts = await Promise.all(
+    Object.values(ENTRY_MODELS).map((Model) =>
+      // Trashed entries still count, so deleting doesn't free up quota
+      Model.countDocuments({ userId, createdAt: { $gte: since } }).setOptions({
+        withDeleted: true,
+      })
+    )
+  );
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+// For requests that create several entries: returns a function that counts
+// one more entry against the monthly quota, or returns false once it's used
+// up. Usage is only looked up if something is actually created.
+const entryQuotaCounter = (userId, entitlements, timeZone) => {
+  const limit = entitlements.entriesPerMonth;
+  let used = null;
+  return async () => {
+    if (limit === null) return true;
+    if (used === null) used = await countEntriesThisMonth(userId, timeZone);
+    if (used >= limit) return false;
+    used += 1;
+    return true;
+  };
+};
+
+module.exports = {
+  TRIAL_PERIOD_DAYS,
+  PLANS,
+  getEntitlements,
+  countEntriesThisMonth,
+  entryQuotaCounter,
+};
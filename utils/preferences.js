@@ -0,0 +1,134 @@
+// Validation for user preferences (see the preferences block in models/User)
+
+const { isValidTimeZone } = require("./dates");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const WEEK_STARTS = ["monday", "sunday"];
+const REMINDER_TYPES = ["journal", "overthinkingReview", "mistakeCheckIn"];
+
+const isValidLocale = (locale) => {
+  if (typeof locale !== "string" || !locale) return false;
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
+
+const reminderUpdates = (type, reminder, updates, errors) => {
+  if (!reminder || typeof reminder !== "object" || Array.isArray(reminder)) {
+    errors.push(`reminders.${type} must be an object`);
+    return;
+  }
+  const allowed = ["enabled", "time"].concat(
+    type === "overthinkingReview" ? ["days"] : []
+  );
+  for (const [key, value] of Object.entries(reminder)) {
+    const path = `reminders.${type}.${key}`;
+    if (!allowed.includes(key)) {
+      errors.push(`Unknown preference: ${path}`);
+    } else if (key === "enabled" && typeof value !== "boolean") {
+      errors.push(`${path} must be true or false`);
+    } else if (key === "time" && !TIME_PATTERN.test(value)) {
+      errors.push(`${path} must be in HH:MM format`);
+    } else if (
+      key === "days" &&
+      (!Array.isArray(value) || !value.every((day) => WEEKDAYS.includes(day)))
+    ) {
+      errors.push(`${path} must be a list of weekdays`);
+    } else {
+      updates[`preferences.${path}`] =
+        key === "days" ? [...new Set(value)] : value;
+    }
+  }
+};
+
+const quietHoursUpdates = (quietHours, updates, errors) => {
+  if (
+    !quietHours ||
+    typeof quietHours !== "object" ||
+    Array.isArray(quietHours)
+  ) {
+    errors.push("quietHours must be an object");
+    return;
+  }
+  for (const [key, value] of Object.entries(quietHours)) {
+    const path = `quietHours.${key}`;
+    if (!["enabled", "start", "end"].includes(key)) {
+      errors.push(`Unknown preference: ${path}`);
+    } else if (key === "enabled" && typeof value !== "boolean") {
+      errors.push(`${path} must be true or false`);
+    } else if (key !== "enabled" && !TIME_PATTERN.test(value)) {
+      errors.push(`${path} must be in HH:MM format`);
+    } else {
+      updates[`preferences.${path}`] = value;
+    }
+  }
+};
+
+// Turns a partial preferences object into dotted-path updates, so fields
+// that aren't sent keep their values. Returns { updates, errors }.
+const preferenceUpdates = (body) => {
+  const updates = {};
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { updates, errors: ["Preferences must be an object"] };
+  }
+
+  for (const [key, value] of Object.entries(body)) {
+    if (key === "timezone") {
+      if (isValidTimeZone(value)) updates["preferences.timezone"] = value;
+      else errors.push("timezone must be an IANA time zone, e.g. Asia/Kolkata");
+    } else if (key === "locale") {
+      if (isValidLocale(value)) {
+        updates["preferences.locale"] = Intl.getCanonicalLocales(value)[0];
+      } else {
+        errors.push("locale must be a language tag, e.g. en-IN");
+      }
+    } else if (key === "weekStart") {
+      if (WEEK_STARTS.includes(value)) updates["preferences.weekStart"] = value;
+      else errors.push(`weekStart must be one of: ${WEEK_STARTS.join(", ")}`);
+    } else if (key === "worryTime") {
+      if (TIME_PATTERN.test(value)) updates["preferences.worryTime"] = value;
+      else errors.push("worryTime must be in HH:MM format");
+    } else if (key === "quietHours") {
+      quietHoursUpdates(value, updates, errors);
+    } else if (key === "reminders") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        errors.push("reminders must be an object");
+        continue;
+      }
+      for (const [type, reminder] of Object.entries(value)) {
+        if (REMINDER_TYPES.includes(type)) {
+          reminderUpdates(type, reminder, updates, errors);
+        } else {
+          errors.push(`Unknown reminder: ${type}`);
+        }
+      }
+    } else {
+      errors.push(`Unknown preference: ${key}`);
+    }
+  }
+  return { updates, errors };
+};
+
+const preferencesOf = (user) => user.toObject().preferences;
+
+module.exports = {
+  TIME_PATTERN,
+  WEEKDAYS,
+  WEEK_STARTS,
+  REMINDER_TYPES,
+  isValidLocale,
+  preferenceUpdates,
+  preferencesOf,
+};
@@ -0,0 +1,90 @@
+// Where rate limit counts live. The store is picked with RATE_LIMIT_STORE:
+// "memory" (the default) counts in this process, which is enough for a
+// single instance; "mongo" keeps counts in MongoDB so every instance
+// behind a load balancer shares them. A store is any object with
+// increment(key, windowMs) resolving to { count, resetAt }, where windows
+// are fixed and aligned to multiples of windowMs.
+
+const RateLimitCounter = require("../models/RateLimitCounter");
+
+const DUPLICATE_KEY = 11000;
+
+const windowOf = (windowMs, now = Date.now()) => {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: new Date(start + windowMs) };
+};
+
+const createMemoryStore = () => {
+  const counters = new Map();
+  let nextSweep = 0;
+
+  // Drops finished windows now and then so idle clients don't pile up
+  const sweep = (now) => {
+    if (now < nextSweep) return;
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+    nextSweep = now + 60 * 1000;
+  };
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      sweep(now);
+      const { start, resetAt } = windowOf(windowMs, now);
+      const windowKey = `${key}:${start}`;
+      const counter = counters.get(windowKey) || { count: 0, resetAt };
+      counter.count += 1;
+      counters.set(windowKey, counter);
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+  };
+};
+
+const mongoStore = {
+  name: "mongo",
+  increment: async (key, windowMs) => {
+    const { start, resetAt } = windowOf(windowMs);
+    const update = () =>
+      RateLimitCounter.findOneAndUpdate(
+        { key: `${key}:${start}` },
+        { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+        { upsert: true, new: true }
+      );
+    let counter;
+    try {
+      counter = await update();
+    } catch (error) {
+      // Two instances created the counter at once; the retry finds it
+      if (error?.code !== DUPLICATE_KEY) throw error;
+      counter = await update();
+    }
+    return { count: counter.count, resetAt: counter.resetAt };
+  },
+};
+
+const STORES = {
+  memory: createMemoryStore,
+  mongo: () => mongoStore,
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    if (!STORES[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+    }
+    store = STORES[name]();
+  }
+  return store;
+};
+
+// Replace the store, e.g. with a shared one of your own
+const setStore = (next) => {
+  store = next;
+};
+
+module.exports = { createMemoryStore, getStore, setStore };
@@ -0,0 +1,177 @@
+// Reminder scheduling. The reminder job calls runReminders() every minute;
+// each enabled reminder is sent once on its local day, at or shortly after
+// the time the user picked.
+
+const User = require("../models/User");
+const Journal = require("../models/Journal");
+const Overthinking = require("../models/Overthinking");
+const Mistake = require("../models/Mistake");
+const CheckIn = require("../models/CheckIn");
+const ReminderDelivery = require("../models/ReminderDelivery");
+const DeviceToken = require("../models/DeviceToken");
+const { REMINDER_TYPES, WEEKDAYS } = require("./preferences");
+const { sendToUser } = require("./notifications");
+const {
+  dayInTimeZone,
+  timeInTimeZone,
+  weekdayOf,
+  isValidTimeZone,
+} = require("./dates");
+
+// How late a reminder may still go out, e.g. after a restart or when the
+// job falls behind
+const REMINDER_WINDOW_MINUTES =
+  parseInt(process.env.REMINDER_WINDOW_MINUTES) || 60;
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const isQuietTime = (quietHours, time) => {
+  if (!quietHours?.enabled) return false;
+  const now = minutesOf(time);
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// What each reminder says. Returns null when there's nothing to remind
+// about, e.g. today's journal entry is already written.
+const NOTIFICATIONS = {
+  journal: async (userId, day) => {
+    if (await Journal.exists({ userId, date: day })) return null;
+    return {
+      title: "Time to journal",
+      body: "Take a few minutes to write about your day.",
+      data: { type: "journal", day },
+    };
+  },
+
+  overthinkingReview: async (userId, day) => {
+    const open = await Overthinking.countDocuments({ userId, dumped: false });
+    if (!open) return null;
+    return {
+      title: "Review your thoughts",
+      body: `You have ${open} open thought${
+        open === 1 ? "" : "s"
+      } to look back on.`,
+      data: { type: "overthinkingReview", day },
+    };
+  },
+
+  mistakeCheckIn: async (userId, day) => {
+    const mistakeIds = await Mistake.distinct("_id", {
+      userId,
+      deletedAt: null,
+    });
+    const checkedIn = await CheckIn.countDocuments({
+      mistakeId: { $in: mistakeIds },
+      day,
+    });
+    const remaining = mistakeIds.length - checkedIn;
+    if (remaining <= 0) return null;
+    return {
+      title: "Daily check-in",
+      body: `How did today go? ${remaining} mistake${
+        remaining === 1 ? "" : "s"
+      } to check in on.`,
+      data: { type: "mistakeCheckIn", day },
+    };
+  },
+};
+
+// Reminder types due for the user at `now`, with the local day they are for
+const dueReminders = (user, now = new Date()) => {
+  const { preferences = {} } = user;
+  const timeZone = isValidTimeZone(preferences.timezone)
+    ? preferences.timezone
+    : "UTC";
+  const day = dayInTimeZone(now, timeZone);
+  const time = timeInTimeZone(now, timeZone);
+  if (isQuietTime(preferences.quietHours, time)) return { day, types: [] };
+
+  const types = REMINDER_TYPES.filter((type) => {
+    const reminder = preferences.reminders?.[type];
+    if (!reminder?.enabled) return false;
+    if (
+      type === "overthinkingReview" &&
+      !reminder.days?.includes(WEEKDAYS[weekdayOf(day)])
+    ) {
+      return false;
+    }
+    const minutesLate = minutesOf(time) - minutesOf(reminder.time);
+    return minutesLate >= 0 && minutesLate < REMINDER_WINDOW_MINUTES;
+  });
+  return { day, types };
+};
+
+// Claims, builds and sends one reminder. Returns its final status, or null
+// if another run already claimed it.
+const deliver = async (userId, reminderType, day) => {
+  let delivery;
+  try {
+    delivery = await ReminderDelivery.create({ userId, reminderType, day });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  try {
+    const notification = await NOTIFICATIONS[reminderType](userId, day);
+    if (!notification) {
+      delivery.status = "skipped";
+    } else {
+      const counts = await sendToUser(userId, notification);
+      delivery.successCount = counts.successCount;
+      delivery.failureCount = counts.failureCount;
+      delivery.status = counts.successCount > 0 ? "sent" : "failed";
+    }
+  } catch (error) {
+    delivery.status = "failed";
+    delivery.error = error.message;
+  }
+  await delivery.save();
+  return delivery.status;
+};
+
+const runReminders = async (now = new Date()) => {
+  const counts = { sent: 0, skipped: 0, failed: 0 };
+  const cursor = User.find({
+    $or: REMINDER_TYPES.map((type) => ({
+      [`preferences.reminders.${type}.enabled`]: true,
+    })),
+    "deletion.scheduledFor": null,
+  })
+    .select("firebaseUid preferences")
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    const { day, types } = dueReminders(user, now);
+    if (!types.length) continue;
+
+    const userId = user.firebaseUid;
+    if (!(await DeviceToken.exists({ userId }))) continue;
+
+    const delivered = await ReminderDelivery.find({
+      userId,
+      day,
+      reminderType: { $in: types },
+    }).distinct("reminderType");
+
+    for (const type of types.filter((t) => !delivered.includes(t))) {
+      const status = await deliver(userId, type, day);
+      if (status) counts[status] += 1;
+    }
+  }
+  return counts;
+};
+
+module.exports = {
+  REMINDER_WINDOW_MINUTES,
+  isQuietTime,
+  dueReminders,
+  runReminders,
+};
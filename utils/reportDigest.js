@@ -0,0 +1,139 @@
+// Renders an insight report (see utils/reports) as a Markdown or HTML
+// digest for email or in-app display
+
+const { escapeHtml } = require("./text");
+
+const TREND_WORDS = { up: "up", down: "down", steady: "about the same" };
+
+const labelOf = (value) =>
+  value.replace(/_/g, " ").replace(/^\w/, (c) => c.toUpperCase());
+
+const formatDay = (day, locale) => {
+  const options = { day: "numeric", month: "short", year: "numeric" };
+  try {
+    return new Intl.DateTimeFormat(locale, {
+      ...options,
+      timeZone: "UTC",
+    }).format(new Date(`${day}T00:00:00Z`));
+  } catch (error) {
+    return day;
+  }
+};
+
+// " (+0.4)" after a trend, left out when nothing changed
+const changeNote = (trend, change) =>
+  trend === "steady" ? "" : ` (${change > 0 ? "+" : ""}${change})`;
+
+// The digest as a title and a list of sections of plain-text lines, shared
+// by both renderers
+const digestOf = (report, locale) => {
+  const { mood, overthinking, mistakes, topTags } = report;
+  const title = `Your ${report.period}: ${formatDay(
+    report.start,
+    locale
+  )} – ${formatDay(report.end, locale)}`;
+
+  const moodLines = mood.entries
+    ? [
+        `${mood.entries} journal entr${mood.entries === 1 ? "y" : "ies"}`,
+        `Average mood: ${labelOf(mood.averageMood)} (${mood.average} of 5)`,
+      ]
+    : ["No journal entries"];
+  if (mood.trend) {
+    moodLines.push(
+      `Mood is ${TREND_WORDS[mood.trend]} compared with the previous ${
+        report.period
+      }${changeNote(mood.trend, mood.change)}`
+    );
+  }
+
+  const overthinkingLines = overthinking.entries
+    ? [
+        `${overthinking.entries} thought${
+          overthinking.entries === 1 ? "" : "s"
+        } logged, ${overthinking.released} released`,
+        `Average intensity: ${overthinking.averageIntensity} of 10`,
+      ]
+    : ["No overthinking entries"];
+  if (overthinking.intensityTrend) {
+    overthinkingLines.push(
+      `Intensity is ${TREND_WORDS[overthinking.intensityTrend]}${changeNote(
+        overthinking.intensityTrend,
+        overthinking.intensityChange
+      )}`
+    );
+  }
+  if (overthinking.topCategories.length) {
+    overthinkingLines.push(
+      `Most frequent: ${overthinking.topCategories
+        .map(({ category, count }) => `${labelOf(category)} (${count})`)
+        .join(", ")}`
+    );
+  }
+
+  const mistakeLines = [
+    `Check-ins: avoided ${mistakes.avoided} time${
+      mistakes.avoided === 1 ? "" : "s"
+    }, repeated ${mistakes.repeated} time${mistakes.repeated === 1 ? "" : "s"}`,
+  ];
+  if (mistakes.avoidanceRate !== null) {
+    mistakeLines.push(`Avoidance rate: ${mistakes.avoidanceRate}%`);
+  }
+  if (mistakes.logged) {
+    mistakeLines.push(
+      `${mistakes.logged} new mistake${mistakes.logged === 1 ? "" : "s"} logged`
+    );
+  }
+
+  const sections = [
+    { heading: "Mood", lines: moodLines },
+    { heading: "Overthinking", lines: overthinkingLines },
+    { heading: "Mistakes", lines: mistakeLines },
+  ];
+  if (topTags.length) {
+    sections.push({
+      heading: "Top tags",
+      lines: topTags.map(({ tag, count }) => `#${tag} (${count})`),
+    });
+  }
+  return { title, sections };
+};
+
+const renderMarkdown = (report, { locale = "en-US" } = {}) => {
+  const { title, sections } = digestOf(report, locale);
+  return [
+    `# ${title}`,
+    ...sections.map(
+      ({ heading, lines }) =>
+        `## ${heading}\n\n${lines.map((line) => `- ${line}`).join("\n")}`
+    ),
+  ]
+    .join("\n\n")
+    .concat("\n");
+};
+
+// A self-contained page with inline styles so it survives email clients
+const renderHtml = (report, { locale = "en-US" } = {}) => {
+  const { title, sections } = digestOf(report, locale);
+  const body = sections
+    .map(
+      ({ heading, lines }) =>
+        `<h2 style="font-size:18px;margin:24px 0 8px">${escapeHtml(
+          heading
+        )}</h2>\n<ul style="margin:0;padding-left:20px">${lines
+          .map((line) => `<li>${escapeHtml(line)}</li>`)
+          .join("")}</ul>`
+    )
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:-apple-system,Segoe UI,Roboto,sans-serif;color:#222;max-width:600px;margin:0 auto;padding:24px">
+<h1 style="font-size:22px">${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+};
+
+module.exports = { renderMarkdown, renderHtml };
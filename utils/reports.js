@@ -0,0 +1,235 @@
+// Weekly and monthly insight reports across journal, overthinking and
+// mistakes. Reports only use structured fields (dates, moods, categories,
+// tags), never entry text, so nothing needs decrypting.
+
+const Journal = require("../models/Journal");
+const Overthinking = require("../models/Overthinking");
+const Mistake = require("../models/Mistake");
+const CheckIn = require("../models/CheckIn");
+const { ENTRY_MODELS } = require("../models/entryModels");
+const { MOODS, moodForScore, moodScoreExpression } = require("./mood");
+const { addDays, startOfWeek } = require("./dates");
+
+const PERIODS = ["week", "month"];
+const TOP_CATEGORIES = 3;
+const TOP_TAGS = 5;
+
+// Changes smaller than this count as "steady"
+const TREND_THRESHOLD = 0.1;
+
+const lastDayOfMonth = (day) => {
+  const [year, month] = day.split("-").map(Number);
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+};
+
+// The week or month containing `day`, and the one before it. Days are
+// inclusive YYYY-MM-DD strings.
+const reportPeriod = (period, day, weekStart = "monday") => {
+  if (period === "week") {
+    const start = startOfWeek(day, weekStart);
+    return {
+      period,
+      start,
+      end: addDays(start, 6),
+      previous: { start: addDays(start, -7), end: addDays(start, -1) },
+    };
+  }
+  const start = `${day.slice(0, 7)}-01`;
+  const previousStart = `${addDays(start, -1).slice(0, 7)}-01`;
+  return {
+    period,
+    start,
+    end: lastDayOfMonth(start),
+    previous: { start: previousStart, end: addDays(start, -1) },
+  };
+};
+
+const round = (value, digits = 2) =>
+  value === null || value === undefined ? null : Number(value.toFixed(digits));
+
+// Difference between two averages and which way it went
+const compare = (current, previous) => {
+  if (current === null || previous === null) {
+    return { change: null, trend: null };
+  }
+  const change = round(current - previous);
+  return {
+    change,
+    trend:
+      Math.abs(change) < TREND_THRESHOLD
+        ? "steady"
+        : change > 0
+        ? "up"
+        : "down",
+  };
+};
+
+const intensityTrend = (current, previous) => {
+  const { change, trend } = compare(current, previous);
+  return { intensityChange: change, intensityTrend: trend };
+};
+
+const inRange = (userId, { start, end }) => ({
+  userId,
+  date: { $gte: start, $lte: end },
+});
+
+const journalSummary = async (userId, range) => {
+  const [summary] = await Journal.aggregate([
+    { $match: inRange(userId, range) },
+    {
+      $group: {
+        _id: null,
+        entries: { $sum: 1 },
+        averageMood: { $avg: moodScoreExpression() },
+        moods: { $push: "$mood" },
+      },
+    },
+  ]);
+  const moodDistribution = Object.fromEntries(MOODS.map((mood) => [mood, 0]));
+  (summary?.moods || []).forEach((mood) => {
+    if (mood in moodDistribution) moodDistribution[mood] += 1;
+  });
+  return {
+    entries: summary?.entries || 0,
+    averageMood: round(summary?.averageMood ?? null),
+    moodDistribution,
+  };
+};
+
+const overthinkingSummary = async (userId, range) => {
+  const [result] = await Overthinking.aggregate([
+    { $match: inRange(userId, range) },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              entries: { $sum: 1 },
+              released: { $sum: { $cond: ["$dumped", 1, 0] } },
+              averageIntensity: { $avg: "$intensity" },
+            },
+          },
+        ],
+        categories: [
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_CATEGORIES },
+        ],
+      },
+    },
+  ]);
+  const totals = result.totals[0] || {};
+  return {
+    entries: totals.entries || 0,
+    released: totals.released || 0,
+    averageIntensity: round(totals.averageIntensity ?? null),
+    topCategories: result.categories.map(({ _id, count }) => ({
+      category: _id,
+      count,
+    })),
+  };
+};
+
+const mistakeSummary = async (userId, range) => {
+  const logged = await Mistake.countDocuments(inRange(userId, range));
+  // Check-ins of trashed mistakes don't count
+  const mistakeIds = await Mistake.distinct("_id", {
+    userId,
+    deletedAt: null,
+  });
+  const counts = await CheckIn.aggregate([
+    {
+      $match: {
+        mistakeId: { $in: mistakeIds },
+        day: { $gte: range.start, $lte: range.end },
+      },
+    },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const byStatus = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+  const avoided = byStatus.avoided || 0;
+  const repeated = byStatus.repeated || 0;
+  return {
+    logged,
+    avoided,
+    repeated,
+    avoidanceRate:
+      avoided + repeated > 0
+        ? round((avoided / (avoided + repeated)) * 100, 1)
+        : null,
+  };
+};
+
+const topTags = async (userId, range) => {
+  const perType = await Promise.all(
+    Object.values(ENTRY_MODELS).map((Model) =>
+      Model.aggregate([
+        { $match: inRange(userId, range) },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+      ])
+    )
+  );
+  const totals = new Map();
+  perType.flat().forEach(({ _id, count }) => {
+    totals.set(_id, (totals.get(_id) || 0) + count);
+  });
+  return [...totals]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, TOP_TAGS);
+};
+
+// The report for one period, compared with the period before it
+const buildReport = async (userId, { period, start, end, previous }) => {
+  const current = { start, end };
+  const [journal, previousJournal, overthinking, previousOverthinking] =
+    await Promise.all([
+      journalSummary(userId, current),
+      journalSummary(userId, previous),
+      overthinkingSummary(userId, current),
+      overthinkingSummary(userId, previous),
+    ]);
+  const [mistakes, previousMistakes, tags] = await Promise.all([
+    mistakeSummary(userId, current),
+    mistakeSummary(userId, previous),
+    topTags(userId, current),
+  ]);
+
+  return {
+    period,
+    start,
+    end,
+    previous,
+    mood: {
+      entries: journal.entries,
+      average: journal.averageMood,
+      averageMood: moodForScore(journal.averageMood),
+      previousAverage: previousJournal.averageMood,
+      ...compare(journal.averageMood, previousJournal.averageMood),
+      distribution: journal.moodDistribution,
+    },
+    overthinking: {
+      entries: overthinking.entries,
+      released: overthinking.released,
+      previousReleased: previousOverthinking.released,
+      topCategories: overthinking.topCategories,
+      averageIntensity: overthinking.averageIntensity,
+      previousAverageIntensity: previousOverthinking.averageIntensity,
+      ...intensityTrend(
+        overthinking.averageIntensity,
+        previousOverthinking.averageIntensity
+      ),
+    },
+    mistakes: {
+      ...mistakes,
+      previousAvoided: previousMistakes.avoided,
+      previousRepeated: previousMistakes.repeated,
+    },
+    topTags: tags,
+  };
+};
+
+module.exports = { PERIODS, reportPeriod, buildReport };
@@ -0,0 +1,104 @@
+// Revision history for entries: recording, pruning and comparing versions
+
+const Revision = require("../models/Revision");
+const { diffText } = require("./diff");
+
+// Fields whose edits create a revision, per entry type
+const REVISION_FIELDS = {
+  journal: ["content", "tags", "mood"],
+  overthinking: [
+    "thought",
+    "solution",
+    "category",
+    "intensity",
+    "dumped",
+    "tags",
+  ],
+  mistake: ["mistake", "solution", "category", "avoided", "tags"],
+};
+
+// Free text is diffed word by word; everything else is compared as a value
+const TEXT_FIELDS = ["content", "thought", "mistake", "solution"];
+
+// Oldest revisions beyond this many per entry are dropped
+const REVISION_HISTORY_LIMIT =
+  parseInt(process.env.REVISION_HISTORY_LIMIT) || 20;
+
+const snapshotOf = (type, entry) =>
+  REVISION_FIELDS[type].reduce((snapshot, field) => {
+    const value = entry[field];
+    snapshot[field] = Array.isArray(value) ? [...value] : value;
+    return snapshot;
+  }, {});
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const snapshotsDiffer = (type, a, b) =>
+  REVISION_FIELDS[type].some((field) => !sameValue(a[field], b[field]));
+
+// Stores `previous` (the entry as it was before an edit) as the next
+// version and prunes history beyond the retention limit. Pass the session
+// of the save when it runs in a transaction.
+const recordRevision = async (type, previous, session = null) => {
+  const latest = await Revision.findOne({ entryId: previous._id })
+    .sort({ version: -1 })
+    .select("version")
+    .session(session);
+
+  await new Revision({
+    userId: previous.userId,
+    entryType: type,
+    entryId: previous._id,
+    version: (latest?.version || 0) + 1,
+    savedAt: previous.updatedAt,
+    snapshot: snapshotOf(type, previous),
+  }).save({ session });
+
+  const expired = await Revision.find({ entryId: previous._id })
+    .sort({ version: -1 })
+    .skip(REVISION_HISTORY_LIMIT)
+    .select("_id")
+    .session(session);
+  if (expired.length) {
+    await Revision.deleteMany(
+      { _id: { $in: expired.map((r) => r._id) } },
+      { session }
+    );
+  }
+};
+
+// Field-by-field changes from snapshot `a` to snapshot `b`. Unchanged fields
+// are left out.
+const diffSnapshots = (type, a, b, granularity) => {
+  const changes = {};
+  for (const field of REVISION_FIELDS[type]) {
+    if (sameValue(a[field], b[field])) continue;
+    if (TEXT_FIELDS.includes(field)) {
+      changes[field] = {
+        type: "text",
+        parts: diffText(a[field], b[field], granularity),
+      };
+    } else if (field === "tags") {
+      const before = a.tags || [];
+      const after = b.tags || [];
+      changes.tags = {
+        type: "set",
+        added: after.filter((tag) => !before.includes(tag)),
+        removed: before.filter((tag) => !after.includes(tag)),
+      };
+    } else {
+      changes[field] = { type: "value", from: a[field], to: b[field] };
+    }
+  }
+  return changes;
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  TEXT_FIELDS,
+  REVISION_HISTORY_LIMIT,
+  snapshotOf,
+  snapshotsDiffer,
+  recordRevision,
+  diffSnapshots,
+};
@@ -0,0 +1,295 @@
+// Offline sentiment analysis for journal entries. Each word in a small
+// lexicon carries a score from -5 (very negative) to +5 (very positive);
+// negations flip the words after them and intensifiers scale them. The
+// total is squashed into -1..1 so long and short entries compare.
+
+const { tokenize } = require("./text");
+const { MOOD_SCALE, moodForScore } = require("./mood");
+
+const LEXICON = {
+  // Positive
+  amazing: 4,
+  awesome: 4,
+  beautiful: 3,
+  best: 3,
+  better: 2,
+  blessed: 3,
+  brave: 2,
+  calm: 2,
+  celebrate: 3,
+  celebrated: 3,
+  cheerful: 3,
+  comfortable: 2,
+  confident: 2,
+  content: 2,
+  cozy: 2,
+  delighted: 3,
+  delightful: 3,
+  easy: 1,
+  ecstatic: 4,
+  energized: 2,
+  energetic: 2,
+  enjoy: 2,
+  enjoyed: 2,
+  enjoying: 2,
+  excited: 3,
+  exciting: 3,
+  fantastic: 4,
+  fine: 1,
+  free: 1,
+  fun: 3,
+  glad: 3,
+  good: 2,
+  grateful: 3,
+  gratitude: 3,
+  great: 3,
+  happier: 3,
+  happy: 3,
+  healthy: 2,
+  helpful: 2,
+  hope: 2,
+  hopeful: 2,
+  inspired: 3,
+  joy: 3,
+  joyful: 3,
+  kind: 2,
+  laugh: 2,
+  laughed: 2,
+  laughing: 2,
+  love: 3,
+  loved: 3,
+  lovely: 3,
+  loving: 3,
+  lucky: 3,
+  motivated: 2,
+  nice: 2,
+  okay: 1,
+  ok: 1,
+  optimistic: 2,
+  peace: 2,
+  peaceful: 2,
+  pleasant: 2,
+  pleased: 2,
+  productive: 2,
+  progress: 2,
+  proud: 3,
+  refreshed: 2,
+  relaxed: 2,
+  relaxing: 2,
+  relief: 2,
+  relieved: 2,
+  rested: 2,
+  safe: 1,
+  satisfied: 2,
+  smile: 2,
+  smiled: 2,
+  strong: 2,
+  success: 3,
+  successful: 3,
+  support: 2,
+  supported: 2,
+  supportive: 2,
+  thankful: 3,
+  thrilled: 4,
+  win: 3,
+  won: 3,
+  wonderful: 4,
+  accomplished: 3,
+  achieved: 3,
+
+  // Negative
+  afraid: -2,
+  alone: -2,
+  angry: -3,
+  annoyed: -2,
+  anxious: -2,
+  anxiety: -2,
+  argue: -2,
+  argued: -2,
+  argument: -2,
+  ashamed: -3,
+  awful: -3,
+  bad: -2,
+  bored: -1,
+  broke: -1,
+  broken: -3,
+  burnout: -3,
+  cried: -2,
+  cry: -2,
+  crying: -2,
+  depressed: -4,
+  depressing: -3,
+  desperate: -3,
+  devastated: -4,
+  difficult: -1,
+  disappointed: -2,
+  disappointing: -2,
+  disaster: -3,
+  disgusted: -3,
+  down: -1,
+  drained: -2,
+  dread: -3,
+  embarrassed: -2,
+  empty: -2,
+  exhausted: -2,
+  fail: -2,
+  failed: -2,
+  failing: -2,
+  failure: -3,
+  fear: -2,
+  fight: -2,
+  frustrated: -2,
+  frustrating: -2,
+  furious: -4,
+  grief: -3,
+  guilty: -2,
+  hard: -1,
+  hate: -3,
+  hated: -3,
+  helpless: -3,
+  hopeless: -3,
+  horrible: -3,
+  hurt: -2,
+  hurts: -2,
+  irritated: -2,
+  jealous: -2,
+  lonely: -2,
+  lost: -2,
+  mad: -2,
+  miserable: -3,
+  miss: -1,
+  nervous: -2,
+  overwhelmed: -2,
+  pain: -2,
+  painful: -2,
+  panic: -3,
+  regret: -2,
+  rejected: -3,
+  sad: -2,
+  sadness: -2,
+  scared: -2,
+  shame: -3,
+  sick: -2,
+  stress: -2,
+  stressed: -2,
+  stressful: -2,
+  struggle: -2,
+  struggled: -2,
+  struggling: -2,
+  stuck: -2,
+  terrible: -3,
+  tired: -1,
+  upset: -2,
+  useless: -3,
+  weak: -2,
+  worried: -2,
+  worry: -2,
+  worse: -2,
+  worst: -3,
+  worthless: -3,
+  wrong: -2,
+  sucks: -2,
+  cranky: -2,
+  grumpy: -2,
+};
+
+// Flip the sentiment of the next few words: "not happy", "didn't enjoy"
+const NEGATIONS = new Set([
+  "not",
+  "no",
+  "never",
+  "nothing",
+  "nobody",
+  "neither",
+  "nor",
+  "without",
+  "hardly",
+  "barely",
+]);
+const NEGATION_WINDOW = 3;
+
+const INTENSIFIERS = {
+  very: 1.5,
+  really: 1.4,
+  so: 1.3,
+  extremely: 1.8,
+  super: 1.5,
+  incredibly: 1.7,
+  totally: 1.4,
+  completely: 1.4,
+  quite: 1.2,
+  pretty: 1.1,
+  slightly: 0.6,
+  somewhat: 0.7,
+  bit: 0.7,
+  little: 0.8,
+};
+
+// Larger values make the score approach ±1 more slowly
+const NORMALIZATION_ALPHA = 15;
+
+const isNegation = (token) => NEGATIONS.has(token) || token.endsWith("n't");
+
+const analyzeSentiment = (text) => {
+  const tokens = tokenize(String(text || "").replace(/[‘’]/g, "'"));
+  let total = 0;
+  let positive = 0;
+  let negative = 0;
+  let negateFor = 0;
+  let boost = 1;
+
+  for (const token of tokens) {
+    if (isNegation(token)) {
+      negateFor = NEGATION_WINDOW;
+      continue;
+    }
+    if (INTENSIFIERS[token]) {
+      boost *= INTENSIFIERS[token];
+      continue;
+    }
+
+    const value = LEXICON[token];
+    if (value !== undefined) {
+      const scored = value * boost * (negateFor > 0 ? -0.75 : 1);
+      total += scored;
+      if (scored > 0) positive += 1;
+      else if (scored < 0) negative += 1;
+    }
+    boost = 1;
+    if (negateFor > 0) negateFor -= 1;
+  }
+
+  const score = total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+  return {
+    score: Number(score.toFixed(3)),
+    positiveWords: positive,
+    negativeWords: negative,
+  };
+};
+
+// Maps a -1..1 score onto the 1-5 mood scale
+const suggestMood = (score) => moodForScore(3 + score * 2);
+
+// What gets stored on a journal entry
+const sentimentSummary = (text) => {
+  const { score, positiveWords, negativeWords } = analyzeSentiment(text);
+  return {
+    score,
+    suggestedMood: suggestMood(score),
+    positiveWords,
+    negativeWords,
+  };
+};
+
+// Steps between two moods on the 1-5 scale
+const moodDistance = (a, b) =>
+  MOOD_SCALE[a] && MOOD_SCALE[b]
+    ? Math.abs(MOOD_SCALE[a] - MOOD_SCALE[b])
+    : null;
+
+module.exports = {
+  analyzeSentiment,
+  suggestMood,
+  sentimentSummary,
+  moodDistance,
+};
@@ -0,0 +1,139 @@
+// Streaks and calendars for mistakes, derived from their daily check-ins
+
+const CheckIn = require("../models/CheckIn");
+const { today, addDays } = require("./dates");
+
+// `checkIns` are { day, status } in any order. A streak is a run of
+// consecutive "avoided" days; a "repeated" day or a day without a check-in
+// ends it. Today doesn't break the current streak until it's over, so a
+// streak that reached yesterday is still current.
+const computeStreak = (checkIns, currentDay) => {
+  const days = [...checkIns].sort((a, b) => (a.day < b.day ? -1 : 1));
+  const statusByDay = new Map(days.map((c) => [c.day, c.status]));
+
+  let bestStreak = 0;
+  let run = 0;
+  let previous = null;
+  let lastAvoidedDate = null;
+  let avoidedDays = 0;
+  let repeatedDays = 0;
+
+  for (const { day, status } of days) {
+    if (status === "avoided") {
+      avoidedDays += 1;
+      run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+      previous = day;
+      lastAvoidedDate = day;
+      bestStreak = Math.max(bestStreak, run);
+    } else {
+      repeatedDays += 1;
+      run = 0;
+      previous = null;
+    }
+  }
+
+  let currentStreak = 0;
+  let cursor =
+    statusByDay.get(currentDay) === "avoided"
+      ? currentDay
+      : statusByDay.has(currentDay)
+      ? null
+      : addDays(currentDay, -1);
+  while (cursor && statusByDay.get(cursor) === "avoided") {
+    currentStreak += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  return {
+    currentStreak,
+    bestStreak,
+    lastAvoidedDate,
+    avoidedToday: statusByDay.get(currentDay) === "avoided",
+    todayStatus: statusByDay.get(currentDay) || null,
+    avoidedDays,
+    repeatedDays,
+  };
+};
+
+// Every day of a "YYYY-MM" month with its check-in status, or null
+const buildCalendar = (checkIns, month) => {
+  const statusByDay = new Map(checkIns.map((c) => [c.day, c.status]));
+  const days = [];
+  for (let day = `${month}-01`; day.startsWith(month); day = addDays(day, 1)) {
+    days.push({ day, status: statusByDay.get(day) || null });
+  }
+  return {
+    month,
+    days,
+    avoided: days.filter((d) => d.status === "avoided").length,
+    repeated: days.filter((d) => d.status === "repeated").length,
+  };
+};
+
+// Streak info for one mistake. Best streaks recorded before check-ins
+// existed are kept in legacyBestStreak.
+const streakInfoFor = (mistake, checkIns, timeZone = "UTC") => {
+  const streak = computeStreak(checkIns, today(timeZone));
+  return {
+    ...streak,
+    bestStreak: Math.max(streak.bestStreak, mistake.legacyBestStreak || 0),
+  };
+};
+
+// Attaches streakInfo to each mistake, loading all their check-ins at once
+const withStreakInfo = async (mistakes, timeZone = "UTC") => {
+  const list = Array.isArray(mistakes) ? mistakes : [mistakes];
+  const checkIns = await CheckIn.find({
+    mistakeId: { $in: list.map((mistake) => mistake._id) },
+  })
+    .select("mistakeId day status")
+    .lean();
+
+  const byMistake = new Map();
+  for (const checkIn of checkIns) {
+    const key = checkIn.mistakeId.toString();
+    if (!byMistake.has(key)) byMistake.set(key, []);
+    byMistake.get(key).push(checkIn);
+  }
+
+  const results = list.map((mistake) => {
+    const json = mistake.toJSON ? mistake.toJSON() : mistake;
+    const history = byMistake.get(mistake._id.toString()) || [];
+    return { ...json, streakInfo: streakInfoFor(mistake, history, timeZone) };
+  });
+  return Array.isArray(mistakes) ? results : results[0];
+};
+
+// Records today's outcome for a mistake, replacing any earlier check-in
+// for the same day so repeated toggles can't double count
+const recordCheckIn = (mistake, day, status, session = null) =>
+  CheckIn.findOneAndUpdate(
+    { mistakeId: mistake._id, day },
+    { $set: { status, userId: mistake.userId } },
+    { upsert: true, new: true, runValidators: true, session }
+  );
+
+// Undoes an "avoided" check-in, e.g. when avoided is toggled off. A
+// "repeated" check-in for the day is left alone.
+const clearAvoided = (mistake, day, session = null) =>
+  CheckIn.deleteOne(
+    { mistakeId: mistake._id, day, status: "avoided" },
+    { session }
+  );
+
+// Marking a mistake avoided checks today in; unmarking it takes that
+// check-in back. Either way there's at most one check-in per day.
+const syncTodayCheckIn = (mistake, timeZone, session = null) =>
+  mistake.avoided
+    ? recordCheckIn(mistake, today(timeZone), "avoided", session)
+    : clearAvoided(mistake, today(timeZone), session);
+
+module.exports = {
+  computeStreak,
+  buildCalendar,
+  streakInfoFor,
+  withStreakInfo,
+  recordCheckIn,
+  clearAvoided,
+  syncTodayCheckIn,
+};
@@ -0,0 +1,400 @@
+// Offline delta sync. A pull returns everything that changed since a
+// checkpoint the server issued; a push applies a batch of changes the app
+// queued while offline, one result per change.
+//
+// Each entry type (and tombstones) is read as its own stream in
+// (updatedAt, _id) order, and the checkpoint records how far every stream
+// got. Changes from the last second are left for the next pull so a write
+// that commits late can't slip in behind the checkpoint.
+
+const mongoose = require("mongoose");
+const { ENTRY_MODELS } = require("../models/entryModels");
+const Tombstone = require("../models/Tombstone");
+const { encodeCursor, decodeCursor } = require("./cursor");
+const { entryQuotaCounter } = require("./plans");
+const { preferenceUpdates, preferencesOf } = require("./preferences");
+const {
+  buildEntry,
+  applyEntryUpdate,
+  saveEntry,
+  findByClientId,
+} = require("./entries");
+const { entryChanges, entryEvent, preferenceChanges } = require("./audit");
+const { checkFields } = require("../middleware/validate");
+const { clientId } = require("../validators/common");
+const journalSchemas = require("../validators/journal");
+const overthinkingSchemas = require("../validators/overthinking");
+const mistakeSchemas = require("../validators/mistakes");
+
+const DUPLICATE_KEY = 11000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTLE_MS = 1000;
+const DEFAULT_PULL_LIMIT = 100;
+const MAX_PULL_LIMIT = 500;
+const MAX_PUSH_CHANGES = 100;
+
+const ENTRY_SCHEMAS = {
+  journal: journalSchemas,
+  overthinking: overthinkingSchemas,
+  mistake: mistakeSchemas,
+};
+
+// ---------------------------------------------------------------- pull
+
+const isPosition = (position) =>
+  position === null ||
+  (typeof position?.at === "string" &&
+    !Number.isNaN(Date.parse(position.at)) &&
+    typeof position.id === "string" &&
+    mongoose.isValidObjectId(position.id));
+
+// Returns the decoded checkpoint, or null if it isn't one we issued
+const decodeCheckpoint = (token) => {
+  const checkpoint = decodeCursor(token);
+  if (
+    !checkpoint ||
+    Number.isNaN(Date.parse(checkpoint.issuedAt)) ||
+    Number.isNaN(Date.parse(checkpoint.preferences)) ||
+    !checkpoint.streams ||
+    ![...Object.keys(ENTRY_MODELS), "tombstone"].every((stream) =>
+      isPosition(checkpoint.streams[stream])
+    )
+  ) {
+    return null;
+  }
+  return checkpoint;
+};
+
+// Tombstones expire, so a client away longer than that can't be told about
+// everything it missed and has to start over
+const isStale = (checkpoint, now) =>
+  now - Date.parse(checkpoint.issuedAt) >
+  Tombstone.TOMBSTONE_RETENTION_DAYS * DAY_MS;
+
+// One page of a stream after `position`, up to `until`
+const readStream = async (Model, field, userId, position, until, limit) => {
+  const filter = { userId, [field]: { $lte: until } };
+  if (position) {
+    const at = new Date(position.at);
+    filter.$or = [
+      { [field]: { $gt: at } },
+      { [field]: at, _id: { $gt: position.id } },
+    ];
+  }
+  const docs = await Model.find(filter)
+    .setOptions({ withDeleted: true })
+    .sort({ [field]: 1, _id: 1 })
+    .limit(limit + 1);
+
+  const page = docs.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    docs: page,
+    hasMore: docs.length > limit,
+    position: last
+      ? { at: last[field].toISOString(), id: last._id.toString() }
+      : position,
+  };
+};
+
+// Changes since `token` (everything when there is none), at most `limit`
+// per stream. When hasMore is set the client pulls again with the returned
+// checkpoint before it considers itself up to date.
+const pullChanges = async (user, token, limit = DEFAULT_PULL_LIMIT) => {
+  const userId = user.firebaseUid;
+  const now = Date.now();
+  const until = new Date(now - SETTLE_MS);
+
+  let checkpoint = token ? decodeCheckpoint(token) : null;
+  const fullResync = Boolean(checkpoint && isStale(checkpoint, now));
+  if (fullResync) checkpoint = null;
+  const streams = checkpoint?.streams || {};
+
+  const changes = {};
+  const deleted = [];
+  const nextStreams = {};
+  let hasMore = false;
+
+  for (const [type, Model] of Object.entries(ENTRY_MODELS)) {
+    const page = await readStream(
+      Model,
+      "updatedAt",
+      userId,
+      streams[type] || null,
+      until,
+      limit
+    );
+    changes[type] = [];
+    page.docs.forEach((entry) => {
+      if (entry.deletedAt) {
+        deleted.push({
+          type,
+          id: entry._id,
+          clientId: entry.clientId,
+          deletedAt: entry.deletedAt,
+          purged: false,
+        });
+      } else {
+        changes[type].push(entry);
+      }
+    });
+    nextStreams[type] = page.position;
+    hasMore = hasMore || page.hasMore;
+  }
+
+  const tombstones = await readStream(
+    Tombstone,
+    "createdAt",
+    userId,
+    streams.tombstone || null,
+    until,
+    limit
+  );
+  tombstones.docs.forEach((tombstone) =>
+    deleted.push({
+      type: tombstone.entryType,
+      id: tombstone.entryId,
+      clientId: tombstone.clientId,
+      deletedAt: tombstone.purgedAt,
+      purged: true,
+    })
+  );
+  nextStreams.tombstone = tombstones.position;
+  hasMore = hasMore || tombstones.hasMore;
+
+  const preferencesAt = user.preferencesUpdatedAt || new Date(0);
+  const preferencesChanged =
+    !checkpoint || preferencesAt > new Date(checkpoint.preferences);
+
+  return {
+    changes,
+    deleted,
+    preferences: preferencesChanged ? preferencesOf(user) : null,
+    checkpoint: encodeCursor({
+      issuedAt: new Date(now).toISOString(),
+      streams: nextStreams,
+      preferences: preferencesAt.toISOString(),
+    }),
+    hasMore,
+    fullResync,
+  };
+};
+
+// ---------------------------------------------------------------- push
+
+const changeFields = {
+  type: {
+    type: "string",
+    required: true,
+    enum: [...Object.keys(ENTRY_MODELS), "preferences"],
+  },
+  op: { type: "string", enum: ["upsert", "delete"] },
+  id: { type: "objectId" },
+  clientId,
+  // When the client made the change, and the server's updatedAt it last
+  // saw for the record (absent for records it created itself)
+  updatedAt: { type: "timestamp", required: true },
+  baseUpdatedAt: { type: "timestamp", nullable: true },
+  data: { type: "object" },
+};
+
+class ChangeRejected extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const checkData = (location, fields, data) => {
+  const details = checkFields(location, fields, data);
+  if (details.length) {
+    throw new ChangeRejected(
+      "VALIDATION_FAILED",
+      details.length === 1 ? details[0].message : "Validation failed",
+      details
+    );
+  }
+};
+
+// The server keeps its version when it changed since the client last saw
+// the record and that change is at least as recent as the client's
+const serverWins = (serverUpdatedAt, change) => {
+  if (!serverUpdatedAt) return false;
+  const changedSinceBase =
+    !change.baseUpdatedAt || serverUpdatedAt > new Date(change.baseUpdatedAt);
+  return changedSinceBase && serverUpdatedAt >= new Date(change.updatedAt);
+};
+
+const findEntry = async (type, userId, change) => {
+  if (change.id) {
+    return ENTRY_MODELS[type]
+      .findOne({ _id: change.id, userId })
+      .setOptions({ withDeleted: true });
+  }
+  return change.clientId ? findByClientId(type, userId, change.clientId) : null;
+};
+
+const reloadEntry = (entry) =>
+  entry.constructor.findById(entry._id).setOptions({ withDeleted: true });
+
+const upsertEntry = async (context, change, location) => {
+  const { type } = change;
+  const data = change.data || {};
+  const entry = await findEntry(type, context.userId, change);
+
+  if (!entry) {
+    if (change.id) {
+      throw new ChangeRejected("NOT_FOUND", "Entry not found");
+    }
+    checkData(location, ENTRY_SCHEMAS[type].createEntry.body, data);
+    if (!(await context.reserveEntry())) {
+      throw new ChangeRejected("UPGRADE_REQUIRED", "Upgrade required");
+    }
+    const created = buildEntry(
+      type,
+      context.userId,
+      { ...data, clientId: change.clientId },
+      context.timeZone
+    );
+    try {
+      const saved = await saveEntry(type, created, data, context.timeZone);
+      context.audit(
+        "entry.create",
+        entryEvent(type, saved, { metadata: { clientId: change.clientId } })
+      );
+      return { status: "created", entry: saved };
+    } catch (error) {
+      // Another request created it under the same clientId first
+      if (error?.code !== DUPLICATE_KEY) throw error;
+      return {
+        status: "unchanged",
+        entry: await findByClientId(type, context.userId, change.clientId),
+      };
+    }
+  }
+
+  checkData(location, ENTRY_SCHEMAS[type].updateEntry.body, data);
+  applyEntryUpdate(type, entry, data);
+  // An edit made after the entry was trashed brings it back
+  if (entry.deletedAt && new Date(change.updatedAt) > entry.deletedAt) {
+    entry.deletedAt = null;
+  }
+  if (!entry.isModified()) return { status: "unchanged", entry };
+  if (serverWins(entry.updatedAt, change)) {
+    return { status: "conflict", entry: await reloadEntry(entry) };
+  }
+  const changes = entryChanges(type, entry);
+  const restored = entry.isModified("deletedAt");
+  const saved = await saveEntry(type, entry, data, context.timeZone);
+  if (restored) context.audit("entry.restore", entryEvent(type, saved));
+  if (changes.length) {
+    context.audit("entry.update", entryEvent(type, saved, { changes }));
+  }
+  return { status: "updated", entry: saved };
+};
+
+// Deleting moves the entry to the trash; deleting something already gone
+// is not an error
+const deleteEntry = async (context, change) => {
+  const entry = await findEntry(change.type, context.userId, change);
+  if (!entry || entry.deletedAt) return { status: "deleted", entry };
+  if (serverWins(entry.updatedAt, change)) {
+    return { status: "conflict", entry };
+  }
+  await entry.softDelete();
+  context.audit("entry.delete", entryEvent(change.type, entry));
+  return { status: "deleted", entry };
+};
+
+const updatePreferences = async (context, change) => {
+  if (change.op === "delete") {
+    throw new ChangeRejected(
+      "VALIDATION_FAILED",
+      "Preferences can't be deleted"
+    );
+  }
+  const { account } = context;
+  const { updates, errors } = preferenceUpdates(change.data || {});
+  if (errors.length) {
+    throw new ChangeRejected("VALIDATION_FAILED", errors.join("; "));
+  }
+
+  account.set(updates);
+  if (!account.isModified("preferences")) {
+    return { status: "unchanged", preferences: preferencesOf(account) };
+  }
+  if (serverWins(account.preferencesUpdatedAt, change)) {
+    const current = await account.constructor.findById(account._id);
+    context.account = current;
+    return { status: "conflict", preferences: preferencesOf(current) };
+  }
+  await account.save();
+  context.audit("preferences.update", { changes: preferenceChanges(updates) });
+  return { status: "updated", preferences: preferencesOf(account) };
+};
+
+const applyChange = async (context, change, index) => {
+  const location = `body.changes.${index}`;
+  checkData(location, changeFields, change);
+
+  if (change.type === "preferences") return updatePreferences(context, change);
+  return change.op === "delete"
+    ? deleteEntry(context, change)
+    : upsertEntry(context, change, `${location}.data`);
+};
+
+// Applies changes in order. A change that can't be applied is reported in
+// its result and doesn't stop the rest of the batch. `audit` is req.audit.
+const pushChanges = async (
+  { account, entitlements, timeZone, audit },
+  changes
+) => {
+  const context = {
+    account,
+    userId: account.firebaseUid,
+    timeZone,
+    audit: (action, details) => audit?.(action, { ...details, source: "sync" }),
+    reserveEntry: entryQuotaCounter(
+      account.firebaseUid,
+      entitlements,
+      timeZone
+    ),
+  };
+
+  const results = [];
+  for (const [index, change] of changes.entries()) {
+    const result = {
+      index,
+      type: change?.type,
+      op: change?.op || "upsert",
+      clientId: change?.clientId,
+    };
+    try {
+      const outcome = await applyChange(context, change, index);
+      result.status = outcome.status;
+      if (outcome.entry) {
+        result.id = outcome.entry._id;
+        result.entry = outcome.entry;
+      }
+      if (outcome.preferences) result.preferences = outcome.preferences;
+    } catch (error) {
+      if (!(error instanceof ChangeRejected)) throw error;
+      result.status = "rejected";
+      result.code = error.code;
+      result.error = error.message;
+      if (error.details) result.details = error.details;
+    }
+    results.push(result);
+  }
+  return results;
+};
+
+module.exports = {
+  DEFAULT_PULL_LIMIT,
+  MAX_PULL_LIMIT,
+  MAX_PUSH_CHANGES,
+  decodeCheckpoint,
+  pullChanges,
+  pushChanges,
+};
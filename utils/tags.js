@@ -0,0 +1,129 @@
+// Tag usage and bulk tag changes across every entry type. Tags are stored
+// lowercased and trimmed on each entry, so they are compared that way here.
+
+const { ENTRY_MODELS, ENTRY_TYPES } = require("../models/entryModels");
+const { withTransaction } = require("./transactions");
+const { escapeRegex } = require("./text");
+
+const MAX_TAG_LENGTH = 50;
+
+// Returns the stored form of a tag, or null if it isn't a usable one
+const normalizeTag = (value) => {
+  if (typeof value !== "string") return null;
+  const tag = value.trim().toLowerCase();
+  return tag && tag.length <= MAX_TAG_LENGTH ? tag : null;
+};
+
+const emptyCounts = () =>
+  Object.fromEntries(ENTRY_TYPES.map((type) => [type, 0]));
+
+// Every tag on the user's live entries with how often each type uses it,
+// most used first. `prefix` narrows the list for autocomplete.
+const tagUsage = async (userId, { prefix, types = ENTRY_TYPES } = {}) => {
+  const match = { userId };
+  if (prefix) match.tags = new RegExp(`^${escapeRegex(prefix)}`);
+
+  const usage = new Map();
+  for (const type of types) {
+    const rows = await ENTRY_MODELS[type].aggregate([
+      { $match: match },
+      { $unwind: "$tags" },
+      ...(prefix ? [{ $match: { tags: match.tags } }] : []),
+      {
+        $group: {
+          _id: "$tags",
+          count: { $sum: 1 },
+          lastUsedAt: { $max: "$updatedAt" },
+        },
+      },
+    ]);
+    rows.forEach(({ _id, count, lastUsedAt }) => {
+      const entry = usage.get(_id) || {
+        tag: _id,
+        total: 0,
+        counts: emptyCounts(),
+        lastUsedAt: null,
+      };
+      entry.total += count;
+      entry.counts[type] += count;
+      if (!entry.lastUsedAt || lastUsedAt > entry.lastUsedAt) {
+        entry.lastUsedAt = lastUsedAt;
+      }
+      usage.set(_id, entry);
+    });
+  }
+
+  return [...usage.values()].sort(
+    (a, b) => b.total - a.total || a.tag.localeCompare(b.tag)
+  );
+};
+
+// Whether any of the user's entries, trashed ones included, carry the tag
+const isTagInUse = async (userId, tag) => {
+  for (const type of ENTRY_TYPES) {
+    const count = await ENTRY_MODELS[type]
+      .countDocuments({ userId, tags: tag })
+      .setOptions({ withDeleted: true });
+    if (count) return true;
+  }
+  return false;
+};
+
+// Pipeline update that replaces each of `from` with `to` in place, keeping
+// the tags' order and dropping the duplicates a merge leaves behind
+const replaceTagsUpdate = (from, to) => [
+  {
+    $set: {
+      tags: {
+        $reduce: {
+          input: {
+            $map: {
+              input: "$tags",
+              in: { $cond: [{ $in: ["$$this", from] }, to, "$$this"] },
+            },
+          },
+          initialValue: [],
+          in: {
+            $cond: [
+              { $in: ["$$this", "$$value"] },
+              "$$value",
+              { $concatArrays: ["$$value", ["$$this"]] },
+            ],
+          },
+        },
+      },
+    },
+  },
+];
+
+// Applies one update to every entry type in a single transaction, trashed
+// entries included so a restored entry comes back with the new tags.
+// Returns the number of entries changed per type.
+const updateAllTypes = (filter, update) =>
+  withTransaction(async (session) => {
+    const changed = {};
+    for (const type of ENTRY_TYPES) {
+      const result = await ENTRY_MODELS[type].updateMany(filter, update, {
+        session,
+      });
+      changed[type] = result.modifiedCount;
+    }
+    return changed;
+  });
+
+// Renaming and merging are the same operation: every tag in `from` becomes
+// `to`
+const replaceTags = (userId, from, to) =>
+  updateAllTypes({ userId, tags: { $in: from } }, replaceTagsUpdate(from, to));
+
+const deleteTag = (userId, tag) =>
+  updateAllTypes({ userId, tags: tag }, { $pull: { tags: tag } });
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  tagUsage,
+  isTagInUse,
+  replaceTags,
+  deleteTag,
+};
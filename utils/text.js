@@ -0,0 +1,72 @@
+// Small text helpers shared by search and the offline analyzers
+
+const WORD_PATTERN = /[\p{L}\p{N}']+/gu;
+
+// Lowercased word tokens, apostrophes kept so "don't" stays one word
+const tokenize = (text = "") =>
+  (String(text).toLowerCase().match(WORD_PATTERN) || [])
+    .map((word) => word.replace(/^'+|'+$/g, ""))
+    .filter(Boolean);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Search terms from a MongoDB $text query string: quoted phrases are split
+// into words and negated terms ("-word") are dropped.
+const queryTerms = (query = "") =>
+  [
+    ...new Set(
+      String(query)
+        .split(/\s+/)
+        .filter((part) => part && !part.startsWith("-"))
+        .flatMap((part) => tokenize(part))
+        .filter((term) => term.length > 1)
+    ),
+  ];
+
+// MongoDB stems terms before matching, so "managers" finds "manager". A
+// shortened prefix is a close enough approximation for highlighting.
+const stemOf = (term) => (term.length > 5 ? term.slice(0, -2) : term);
+
+// Returns an HTML-escaped excerpt of `text` around the first matching term
+// with every match wrapped in <mark>, or null when no term occurs.
+const highlightSnippet = (text, terms, { radius = 80 } = {}) => {
+  if (!text || !terms.length) return null;
+  const stems = terms.map(stemOf);
+  const matches = [];
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    const word = match[0].toLowerCase();
+    if (stems.some((stem) => word.startsWith(stem))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  if (!matches.length) return null;
+
+  const start = Math.max(0, matches[0].start - radius);
+  const end = Math.min(text.length, matches[0].end + radius * 2);
+  let snippet = "";
+  let cursor = start;
+  for (const match of matches) {
+    if (match.start < start || match.end > end) continue;
+    snippet += escapeHtml(text.slice(cursor, match.start));
+    snippet += `<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+    cursor = match.end;
+  }
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? "…" : ""}${snippet.trim()}${end < text.length ? "…" : ""}`;
+};
+
+module.exports = {
+  tokenize,
+  escapeRegex,
+  escapeHtml,
+  queryTerms,
+  highlightSnippet,
+};
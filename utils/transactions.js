@@ -0,0 +1,44 @@
+// Runs `work(session)` in a MongoDB transaction, retrying on transient
+// errors. Every write inside must pass `{ session }`.
+//
+// Transactions need a replica set. A standalone server (the usual local
+// setup) rejects them; there the work runs without one and a warning is
+// logged once, unless REQUIRE_TRANSACTIONS=true or the caller passes
+// `{ required: true }` because partial writes would be wrong.
+
+const mongoose = require("mongoose");
+
+let warned = false;
+
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 ||
+  /Transaction numbers are only allowed|replica set/i.test(
+    error?.message || ""
+  );
+
+const withTransaction = async (
+  work,
+  { required = process.env.REQUIRE_TRANSACTIONS === "true" } = {}
+) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error) || required) throw error;
+    if (!warned) {
+      console.warn(
+        "[transactions] MongoDB does not support transactions here; running without one"
+      );
+      warned = true;
+    }
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction, isTransactionUnsupported };
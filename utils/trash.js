@@ -0,0 +1,77 @@
+// Trash retention and permanent deletion of entries
+
+const { ENTRY_MODELS } = require("../models/entryModels");
+const Revision = require("../models/Revision");
+const CheckIn = require("../models/CheckIn");
+const Tombstone = require("../models/Tombstone");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parsedRetentionDays = parseInt(process.env.TRASH_RETENTION_DAYS);
+const TRASH_RETENTION_DAYS = Number.isNaN(parsedRetentionDays)
+  ? 30
+  : parsedRetentionDays;
+
+const purgeDateFor = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Erases trashed entries of one type matching `filter`, along with their
+// revision history and check-ins. Every permanent entry deletion goes through here.
+// A tombstone is left for each so offline clients can drop their copy.
+// Returns the number of entries removed.
+const purgeTrashed = async (type, filter) => {
+  const Model = ENTRY_MODELS[type];
+  const trashed = await Model.find({
+    $and: [filter, { deletedAt: { $ne: null } }],
+  })
+    .setOptions({ withDeleted: true })
+    .select("_id userId clientId")
+    .lean();
+  if (!trashed.length) return 0;
+  const ids = trashed.map((entry) => entry._id);
+
+  // An entry restored since the lookup no longer matches and stays put
+  const result = await Model.deleteMany({
+    _id: { $in: ids },
+    deletedAt: { $ne: null },
+  }).setOptions({ withDeleted: true });
+  const remaining = await Model.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .distinct("_id");
+  const kept = new Set(remaining.map(String));
+  const purged = trashed.filter((entry) => !kept.has(String(entry._id)));
+  if (!purged.length) return 0;
+  const purgedIds = purged.map((entry) => entry._id);
+
+  await Tombstone.insertMany(
+    purged.map((entry) => ({
+      userId: entry.userId,
+      entryType: type,
+      entryId: entry._id,
+      clientId: entry.clientId,
+    }))
+  );
+  await Revision.deleteMany({ entryType: type, entryId: { $in: purgedIds } });
+  if (type === "mistake") {
+    await CheckIn.deleteMany({ mistakeId: { $in: purgedIds } });
+  }
+  return result.deletedCount;
+};
+
+// Erases everything that has been in the trash longer than the retention
+// period
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  const counts = {};
+  for (const type of Object.keys(ENTRY_MODELS)) {
+    counts[type] = await purgeTrashed(type, { deletedAt: { $lte: cutoff } });
+  }
+  return counts;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDateFor,
+  purgeTrashed,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,131 @@
+// Worry outcomes: what actually happened compared with what was feared
+
+const Overthinking = require("../models/Overthinking");
+const { intensityHistory } = require("./worryTime");
+
+const HAPPENED = ["no", "partly", "yes"];
+
+// Validates { happened, actualSeverity, notes }. Severity is how bad it
+// really was, so it's required unless the worry never happened.
+const parseOutcome = ({ happened, actualSeverity, notes } = {}) => {
+  if (!HAPPENED.includes(happened)) {
+    return {
+      error: `happened must be one of: ${HAPPENED.join(", ")}`,
+      field: "happened",
+    };
+  }
+  if (happened === "no") {
+    if (actualSeverity !== undefined && actualSeverity !== null) {
+      return {
+        error: "actualSeverity only applies if it happened",
+        field: "actualSeverity",
+      };
+    }
+  } else if (
+    !Number.isInteger(actualSeverity) ||
+    actualSeverity < 1 ||
+    actualSeverity > 10
+  ) {
+    return {
+      error: "actualSeverity must be a whole number from 1 to 10",
+      field: "actualSeverity",
+    };
+  }
+  if (notes !== undefined && typeof notes !== "string") {
+    return { error: "notes must be a string", field: "notes" };
+  }
+  return {
+    outcome: {
+      happened,
+      actualSeverity: happened === "no" ? undefined : actualSeverity,
+      notes: notes || "",
+    },
+  };
+};
+
+// Records the outcome against the intensity first predicted for the thought
+const recordOutcome = (entry, outcome) => {
+  entry.outcome = {
+    ...outcome,
+    predictedIntensity: intensityHistory(entry).initialIntensity,
+    recordedAt: new Date(),
+  };
+  return entry;
+};
+
+const round = (value, digits = 1) =>
+  value === null ? null : Number(value.toFixed(digits));
+
+const summarize = (group) => {
+  const realized = group.partly + group.happened;
+  return {
+    recorded: group.recorded,
+    neverHappened: group.neverHappened,
+    partlyHappened: group.partly,
+    happened: group.happened,
+    neverHappenedRate: group.recorded
+      ? round((group.neverHappened / group.recorded) * 100)
+      : null,
+    averagePredictedIntensity: group.recorded
+      ? round(group.predictedSum / group.recorded)
+      : null,
+    // Only worries that (partly) happened have an actual severity
+    averageActualSeverity: realized ? round(group.actualSum / realized) : null,
+    averagePredictedWhenHappened: realized
+      ? round(group.realizedPredictedSum / realized)
+      : null,
+    averageOverestimate: realized
+      ? round((group.realizedPredictedSum - group.actualSum) / realized)
+      : null,
+  };
+};
+
+const SUM_FIELDS = [
+  "recorded",
+  "neverHappened",
+  "partly",
+  "happened",
+  "predictedSum",
+  "actualSum",
+  "realizedPredictedSum",
+];
+
+// Outcome stats overall and per category
+const outcomeStats = async (userId) => {
+  const isHappened = (value) => ({ $eq: ["$outcome.happened", value] });
+  const realized = { $ne: ["$outcome.happened", "no"] };
+  const groups = await Overthinking.aggregate([
+    { $match: { userId, "outcome.recordedAt": { $ne: null } } },
+    {
+      $group: {
+        _id: "$category",
+        recorded: { $sum: 1 },
+        neverHappened: { $sum: { $cond: [isHappened("no"), 1, 0] } },
+        partly: { $sum: { $cond: [isHappened("partly"), 1, 0] } },
+        happened: { $sum: { $cond: [isHappened("yes"), 1, 0] } },
+        predictedSum: { $sum: "$outcome.predictedIntensity" },
+        actualSum: {
+          $sum: { $cond: [realized, "$outcome.actualSeverity", 0] },
+        },
+        realizedPredictedSum: {
+          $sum: { $cond: [realized, "$outcome.predictedIntensity", 0] },
+        },
+      },
+    },
+    { $sort: { recorded: -1, _id: 1 } },
+  ]);
+
+  const overall = Object.fromEntries(SUM_FIELDS.map((field) => [field, 0]));
+  groups.forEach((group) =>
+    SUM_FIELDS.forEach((field) => (overall[field] += group[field]))
+  );
+
+  return {
+    ...summarize(overall),
+    byCategory: Object.fromEntries(
+      groups.map((group) => [group._id, summarize(group)])
+    ),
+  };
+};
+
+module.exports = { HAPPENED, parseOutcome, recordOutcome, outcomeStats };
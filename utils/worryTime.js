@@ -0,0 +1,114 @@
+// Worry time: thoughts are postponed to a daily review slot (the user's
+// worryTime preference) and reviewed when it comes round
+
+const {
+  isValidDay,
+  today,
+  addDays,
+  zonedTime,
+  requestTimeZone,
+} = require("./dates");
+
+const REVIEW_OUTCOMES = ["resolved", "dumped", "rescheduled", "still_worrying"];
+const DEFAULT_WORRY_TIME = "18:00";
+
+const worrySettings = (req) => ({
+  timeZone: requestTimeZone(req),
+  worryTime: req.account?.preferences?.worryTime || DEFAULT_WORRY_TIME,
+});
+
+// The next worry-time slot after `now`: today's if it hasn't passed yet,
+// otherwise tomorrow's
+const nextWorrySlot = ({ timeZone, worryTime }, now = new Date()) => {
+  const day = today(timeZone);
+  const slot = zonedTime(day, worryTime, timeZone);
+  return slot > now ? slot : zonedTime(addDays(day, 1), worryTime, timeZone);
+};
+
+// When to review a thought, from { at } (a timestamp), { day } (that day's
+// worry time) or neither (the next slot). Returns { date } or
+// { error, field }.
+const resolveReviewTime = ({ at, day } = {}, settings, now = new Date()) => {
+  let date;
+  if (at !== undefined) {
+    date = new Date(at);
+    if (typeof at !== "string" || isNaN(date)) {
+      return { error: "at must be an ISO 8601 timestamp", field: "at" };
+    }
+  } else if (day !== undefined) {
+    if (!isValidDay(day)) {
+      return { error: "day must be a date in YYYY-MM-DD format", field: "day" };
+    }
+    date = zonedTime(day, settings.worryTime, settings.timeZone);
+  } else {
+    return { date: nextWorrySlot(settings, now) };
+  }
+  if (date <= now) {
+    return {
+      error: "Review time must be in the future",
+      field: at !== undefined ? "at" : "day",
+    };
+  }
+  return { date };
+};
+
+const isClosed = (entry) => entry.dumped || Boolean(entry.resolvedAt);
+
+// Records a review and applies its outcome. `nextReviewAt` is used for
+// rescheduled and still_worrying.
+const applyReview = (entry, { outcome, intensity, nextReviewAt }) => {
+  const now = new Date();
+  entry.reviews.push({
+    reviewedAt: now,
+    outcome,
+    previousIntensity: entry.intensity,
+    intensity,
+    nextReviewAt:
+      outcome === "rescheduled" || outcome === "still_worrying"
+        ? nextReviewAt
+        : null,
+  });
+  entry.intensity = intensity;
+
+  if (outcome === "resolved") {
+    entry.resolvedAt = now;
+    entry.nextReviewAt = null;
+  } else if (outcome === "dumped") {
+    entry.dumped = true;
+    entry.nextReviewAt = null;
+  } else {
+    entry.nextReviewAt = nextReviewAt;
+  }
+  return entry;
+};
+
+// How intensity moved from the first rating through every review
+const intensityHistory = (entry) => {
+  const reviews = entry.reviews || [];
+  const initialIntensity = reviews.length
+    ? reviews[0].previousIntensity ?? reviews[0].intensity
+    : entry.intensity;
+  return {
+    initialIntensity,
+    currentIntensity: entry.intensity,
+    change: entry.intensity - initialIntensity,
+    points: [
+      { at: entry.createdAt, intensity: initialIntensity, outcome: null },
+      ...reviews.map((review) => ({
+        at: review.reviewedAt,
+        intensity: review.intensity,
+        outcome: review.outcome,
+      })),
+    ],
+  };
+};
+
+module.exports = {
+  REVIEW_OUTCOMES,
+  worrySettings,
+  nextWorrySlot,
+  resolveReviewTime,
+  isClosed,
+  applyReview,
+  intensityHistory,
+};
@@ -0,0 +1,24 @@
+// Request schemas for routes/audit.js and routes/admin.js
+
+const { MAX_LIMIT } = require("../utils/audit");
+
+const listQuery = {
+  action: { type: "string", minLength: 1 },
+  targetType: { type: "string", minLength: 1 },
+  targetId: { type: "string", minLength: 1 },
+  from: { type: "timestamp" },
+  to: { type: "timestamp" },
+  limit: { type: "integer", min: 1, max: MAX_LIMIT },
+  cursor: { type: "string", minLength: 1 },
+};
+
+module.exports = {
+  list: { query: listQuery },
+  adminList: {
+    query: {
+      ...listQuery,
+      userId: { type: "string", minLength: 1 },
+      actorId: { type: "string", minLength: 1 },
+    },
+  },
+};
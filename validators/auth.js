@@ -0,0 +1,25 @@
+// Request schemas for routes/auth.js
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+module.exports = {
+  profile: { query: { uid: { type: "string" } } },
+  signup: {
+    body: {
+      uid: { type: "string", required: true, minLength: 1, maxLength: 128 },
+      email: {
+        type: "string",
+        required: true,
+        maxLength: 320,
+        pattern: EMAIL_PATTERN,
+        patternMessage: "must be an email address",
+      },
+      name: { type: "string", nullable: true, maxLength: 200 },
+      timezone: { type: "timeZone" },
+    },
+  },
+  deleteAccount: { body: { deleteFirebaseUser: { type: "boolean" } } },
+  receipt: {
+    params: { receiptId: { type: "string", minLength: 1, maxLength: 64 } },
+  },
+};
@@ -0,0 +1,18 @@
+// Request schema for routes/batch.js. Each operation is checked on its own
+// by utils/batch, so results can point at the one that's wrong.
+
+const { MAX_BATCH_OPERATIONS } = require("../utils/batch");
+
+module.exports = {
+  run: {
+    body: {
+      operations: {
+        type: "array",
+        required: true,
+        maxItems: MAX_BATCH_OPERATIONS,
+        items: { type: "object" },
+      },
+      atomic: { type: "boolean" },
+    },
+  },
+};
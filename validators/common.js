@@ -0,0 +1,102 @@
+// Field specs shared by the entry routers (see middleware/validate.js)
+
+const { ENTRY_TYPES } = require("../models/entryModels");
+const { MAX_TAG_LENGTH } = require("../utils/tags");
+const { SORT_FIELDS } = require("../utils/listQuery");
+const {
+  GRANULARITIES,
+  FORMATS: ANALYTICS_FORMATS,
+  MAX_WINDOW,
+} = require("../utils/analytics");
+
+const MAX_TEXT_LENGTH = 50000;
+const MAX_TAGS = 50;
+
+const entryId = (notFound) => ({ type: "objectId", notFound });
+
+const text = (options = {}) => ({
+  type: "string",
+  maxLength: MAX_TEXT_LENGTH,
+  ...options,
+});
+
+const requiredText = () => text({ required: true, minLength: 1 });
+
+const tags = {
+  type: "array",
+  maxItems: MAX_TAGS,
+  items: { type: "string", minLength: 1, maxLength: MAX_TAG_LENGTH },
+};
+
+const intensity = (options = {}) => ({
+  type: "integer",
+  min: 1,
+  max: 10,
+  ...options,
+});
+
+// Id an offline client gives a new entry so a retried create is not
+// saved twice
+const clientId = { type: "string", minLength: 1, maxLength: 100 };
+
+// A comma-separated query list whose items all come from `values`
+const listOf = (values) => {
+  const item = `\\s*(${values.join("|")})\\s*`;
+  return {
+    type: "string",
+    pattern: new RegExp(`^${item}(,${item})*$`),
+    patternMessage: `must be a comma-separated list of: ${values.join(", ")}`,
+  };
+};
+
+const entryTypes = listOf(ENTRY_TYPES);
+
+// The legacy :userId segment of the overthinking and mistake routes. It
+// has to name the signed-in user; anyone else's reads as not found.
+const userIdParam = {
+  userId: { type: "string", minLength: 1, currentUser: true },
+};
+
+// Query of the entry list routes, plus the filters `type` supports.
+// utils/listQuery checks what spans several fields (from before to, the
+// cursor against the sort).
+const listQuery = (type, filters = {}) => ({
+  date: { type: "day" },
+  from: { type: "day" },
+  to: { type: "day" },
+  tags: { type: "string" },
+  tagMatch: { type: "string", enum: ["any", "all"] },
+  sort: {
+    type: "string",
+    enum: SORT_FIELDS[type].flatMap((field) => [field, `-${field}`]),
+  },
+  limit: { type: "integer", min: 1 },
+  page: { type: "integer", min: 1 },
+  cursor: { type: "string" },
+  ...filters,
+});
+
+// Query of the analytics routes; utils/analytics checks the range length
+const analyticsQuery = {
+  from: { type: "day" },
+  to: { type: "day" },
+  granularity: { type: "string", enum: GRANULARITIES },
+  window: { type: "integer", min: 1, max: MAX_WINDOW },
+  format: { type: "string", enum: ANALYTICS_FORMATS },
+};
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  MAX_TAGS,
+  entryId,
+  text,
+  requiredText,
+  tags,
+  intensity,
+  clientId,
+  listOf,
+  entryTypes,
+  userIdParam,
+  listQuery,
+  analyticsQuery,
+};
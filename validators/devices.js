@@ -0,0 +1,19 @@
+// Request schemas for routes/devices.js
+
+const DeviceToken = require("../models/DeviceToken");
+
+const token = { type: "string", minLength: 1 };
+
+module.exports = {
+  register: {
+    body: {
+      token: { ...token, required: true },
+      platform: {
+        type: "string",
+        required: true,
+        enum: DeviceToken.schema.path("platform").enumValues,
+      },
+    },
+  },
+  unregister: { params: { token } },
+};
@@ -0,0 +1,10 @@
+// Request schemas for routes/export.js
+
+const { listOf } = require("./common");
+
+const FORMATS = ["json", "csv", "markdown"];
+
+module.exports = {
+  FORMATS,
+  download: { query: { formats: listOf(FORMATS) } },
+};
@@ -0,0 +1,14 @@
+// Request schemas for routes/import.js. The bundle itself is checked record
+// by record by utils/importers.
+
+const { FORMATS } = require("../utils/importers");
+
+module.exports = {
+  run: {
+    query: {
+      // Detected from the body when left out
+      format: { type: "string", enum: FORMATS },
+      dryRun: { type: "boolean" },
+    },
+  },
+};
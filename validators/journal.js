@@ -0,0 +1,38 @@
+// Request schemas for routes/journal.js. Rules that span several list or
+// analytics query fields are checked by utils/listQuery and utils/analytics.
+
+const { MOODS } = require("../utils/mood");
+const {
+  entryId,
+  text,
+  requiredText,
+  tags,
+  clientId,
+  listOf,
+  listQuery,
+  analyticsQuery,
+} = require("./common");
+
+const entryParams = { id: entryId("Journal entry not found") };
+
+const mood = { type: "string", enum: MOODS };
+
+module.exports = {
+  list: { query: listQuery("journal", { mood: listOf(MOODS) }) },
+  analytics: { query: analyticsQuery },
+  getEntry: { params: entryParams },
+  createEntry: {
+    body: {
+      content: requiredText(),
+      date: { type: "entryDate", required: true },
+      tags,
+      mood,
+      clientId,
+    },
+  },
+  updateEntry: {
+    params: entryParams,
+    body: { content: text({ minLength: 1 }), tags, mood },
+  },
+  deleteEntry: { params: entryParams },
+};
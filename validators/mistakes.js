@@ -0,0 +1,72 @@
+// Request schemas for routes/mistakes.js. Rules that span several list or
+// analytics query fields are checked by utils/listQuery and utils/analytics.
+
+const Mistake = require("../models/Mistake");
+const {
+  entryId,
+  text,
+  requiredText,
+  tags,
+  clientId,
+  userIdParam,
+  listQuery,
+  analyticsQuery,
+} = require("./common");
+
+const entryParams = { ...userIdParam, id: entryId("Mistake entry not found") };
+
+const category = {
+  type: "string",
+  enum: Mistake.schema.path("category").enumValues,
+};
+
+module.exports = {
+  list: {
+    params: userIdParam,
+    query: listQuery("mistake", {
+      category: { type: "string" },
+      avoided: { type: "boolean" },
+    }),
+  },
+  user: { params: userIdParam },
+  analytics: { params: userIdParam, query: analyticsQuery },
+  entry: { params: entryParams },
+  createEntry: {
+    body: {
+      mistake: requiredText(),
+      solution: requiredText(),
+      category,
+      date: { type: "entryDate", required: true },
+      tags,
+      clientId,
+    },
+  },
+  updateEntry: {
+    params: entryParams,
+    body: {
+      mistake: text({ minLength: 1 }),
+      solution: text({ minLength: 1 }),
+      category,
+      avoided: { type: "boolean" },
+      tags,
+    },
+  },
+  listCheckIns: {
+    params: entryParams,
+    query: { from: { type: "day" }, to: { type: "day" } },
+  },
+  createCheckIn: {
+    params: entryParams,
+    body: {
+      status: { type: "string", required: true, enum: ["avoided", "repeated"] },
+      day: { type: "day" },
+    },
+  },
+  deleteCheckIn: {
+    params: { ...entryParams, day: { type: "day" } },
+  },
+  calendar: {
+    params: entryParams,
+    query: { month: { type: "month" } },
+  },
+};
@@ -0,0 +1,91 @@
+// Request schemas for routes/overthinking.js. Rules that depend on several
+// fields are checked by utils/listQuery and utils/analytics for list and
+// analytics queries, and by utils/worryTime and utils/worryOutcomes for
+// worry times and outcomes.
+
+const Overthinking = require("../models/Overthinking");
+const { REVIEW_OUTCOMES } = require("../utils/worryTime");
+const { HAPPENED } = require("../utils/worryOutcomes");
+const { DISTORTION_TYPES } = require("../utils/distortions");
+const {
+  entryId,
+  text,
+  requiredText,
+  tags,
+  intensity,
+  clientId,
+  userIdParam,
+  listQuery,
+  analyticsQuery,
+} = require("./common");
+
+const entryParams = {
+  ...userIdParam,
+  id: entryId("Overthinking entry not found"),
+};
+
+const category = {
+  type: "string",
+  enum: Overthinking.schema.path("category").enumValues,
+};
+
+// { at } or { day } for a worry-time slot
+const reviewTime = {
+  at: { type: "timestamp" },
+  day: { type: "day" },
+};
+
+module.exports = {
+  list: {
+    params: userIdParam,
+    query: listQuery("overthinking", {
+      category: { type: "string" },
+      minIntensity: intensity(),
+      maxIntensity: intensity(),
+      dumped: { type: "boolean" },
+      distortion: { type: "string", enum: DISTORTION_TYPES },
+    }),
+  },
+  user: { params: userIdParam },
+  analytics: { params: userIdParam, query: analyticsQuery },
+  entry: { params: entryParams },
+  createEntry: {
+    body: {
+      thought: requiredText(),
+      solution: text(),
+      date: { type: "entryDate", required: true },
+      category,
+      intensity: intensity(),
+      tags,
+      clientId,
+    },
+  },
+  updateEntry: {
+    params: entryParams,
+    body: {
+      thought: text({ minLength: 1 }),
+      solution: text(),
+      category,
+      intensity: intensity(),
+      dumped: { type: "boolean" },
+      tags,
+    },
+  },
+  postpone: { params: entryParams, body: reviewTime },
+  review: {
+    params: entryParams,
+    body: {
+      outcome: { type: "string", required: true, enum: REVIEW_OUTCOMES },
+      intensity: intensity({ required: true }),
+      ...reviewTime,
+    },
+  },
+  outcome: {
+    params: entryParams,
+    body: {
+      happened: { type: "string", required: true, enum: HAPPENED },
+      actualSeverity: intensity({ nullable: true }),
+      notes: text({ nullable: true }),
+    },
+  },
+};
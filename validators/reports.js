@@ -0,0 +1,15 @@
+// Request schemas for routes/reports.js
+
+const { PERIODS } = require("../utils/reports");
+
+const FORMATS = ["json", "markdown", "html"];
+
+module.exports = {
+  report: {
+    query: {
+      period: { type: "string", enum: PERIODS },
+      format: { type: "string", enum: FORMATS },
+      date: { type: "day" },
+    },
+  },
+};
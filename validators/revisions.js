@@ -0,0 +1,27 @@
+// Request schemas for routes/revisions.js. Versions are numbered from 1;
+// "current" is the entry as it is now.
+
+const version = {
+  type: "string",
+  pattern: /^(current|[1-9]\d*)$/,
+  patternMessage: 'must be a version number or "current"',
+};
+
+// Only stored versions can be restored
+const storedVersion = {
+  type: "string",
+  pattern: /^[1-9]\d*$/,
+  patternMessage: "must be a version number",
+};
+
+module.exports = {
+  diff: {
+    query: {
+      from: { ...version, required: true },
+      to: version,
+      granularity: { type: "string", enum: ["word", "line"] },
+    },
+  },
+  getVersion: { params: { version } },
+  revert: { params: { version: storedVersion } },
+};
@@ -0,0 +1,25 @@
+// Request schemas for routes/search.js
+
+const { entryTypes } = require("./common");
+
+const MAX_QUERY_LENGTH = 200;
+
+module.exports = {
+  search: {
+    query: {
+      q: {
+        type: "string",
+        required: true,
+        minLength: 1,
+        maxLength: MAX_QUERY_LENGTH,
+      },
+      types: entryTypes,
+      tags: { type: "string" },
+      mood: { type: "string" },
+      category: { type: "string" },
+      from: { type: "day" },
+      to: { type: "day" },
+      limit: { type: "integer", min: 1 },
+    },
+  },
+};
@@ -0,0 +1,23 @@
+// Request schemas for routes/sync.js. Each pushed change is checked on its
+// own by utils/sync, so one bad change doesn't fail the batch.
+
+const { MAX_PULL_LIMIT, MAX_PUSH_CHANGES } = require("../utils/sync");
+
+module.exports = {
+  pull: {
+    query: {
+      checkpoint: { type: "string", minLength: 1 },
+      limit: { type: "integer", min: 1, max: MAX_PULL_LIMIT },
+    },
+  },
+  push: {
+    body: {
+      changes: {
+        type: "array",
+        required: true,
+        maxItems: MAX_PUSH_CHANGES,
+        items: { type: "object" },
+      },
+    },
+  },
+};
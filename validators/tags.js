@@ -0,0 +1,27 @@
+// Request schemas for routes/tags.js. Tags are compared in their stored
+// form (see normalizeTag), so the routes normalize what passes here.
+
+const { MAX_TAG_LENGTH } = require("../utils/tags");
+const { tags, entryTypes } = require("./common");
+
+const tag = { type: "string", minLength: 1, maxLength: MAX_TAG_LENGTH };
+
+const tagParams = { tag };
+
+module.exports = {
+  list: {
+    query: {
+      prefix: { type: "string", maxLength: MAX_TAG_LENGTH },
+      types: entryTypes,
+      limit: { type: "integer", min: 1 },
+    },
+  },
+  merge: {
+    body: {
+      tags: { ...tags, required: true },
+      into: { ...tag, required: true },
+    },
+  },
+  rename: { params: tagParams, body: { name: { ...tag, required: true } } },
+  remove: { params: tagParams },
+};
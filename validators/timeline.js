@@ -0,0 +1,15 @@
+// Request schemas for routes/timeline.js
+
+const { entryTypes } = require("./common");
+
+module.exports = {
+  list: {
+    query: {
+      from: { type: "day" },
+      to: { type: "day" },
+      types: entryTypes,
+      limit: { type: "integer", min: 1 },
+      cursor: { type: "string", minLength: 1 },
+    },
+  },
+};
@@ -0,0 +1,21 @@
+// Request schemas for routes/trash.js
+
+const { ENTRY_TYPES } = require("../models/entryModels");
+const { entryId, entryTypes } = require("./common");
+
+const entryParams = {
+  type: { type: "string", enum: ENTRY_TYPES },
+  id: entryId("Trashed entry not found"),
+};
+
+module.exports = {
+  list: {
+    query: {
+      types: entryTypes,
+      limit: { type: "integer", min: 1 },
+      cursor: { type: "string", minLength: 1 },
+    },
+  },
+  entry: { params: entryParams },
+  empty: { query: { types: entryTypes } },
+};
@@ -6,7 +6,11 @@ const verifyToken = async function (req, res, next) {
   // console.log("Verifying token for request", req.method, req.path);
 
   const token = req.headers.authorization?.split(" ")[1];
-  if (!token) return res.status(401).json({ error: "Unauthorized" });
+  if (!token) {
+    return res
+      .status(401)
+      .json({ error: "Unauthorized", code: "UNAUTHORIZED" });
+  }
   // console.log(token);
   try {
     const decoded = await admin.auth().verifyIdToken(token);
@@ -14,7 +18,7 @@ const verifyToken = async function (req, res, next) {
     next();
   } catch (err) {
     console.log("Token verification failed:", err);
-    res.status(401).json({ error: "Invalid token" });
+    res.status(401).json({ error: "Invalid token", code: "INVALID_TOKEN" });
   }
 };
 module.exports = verifyToken;